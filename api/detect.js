@@ -0,0 +1,171 @@
+// api/detect.js
+// Serverless detection proxy (Vercel function at /api/detect).
+// The browser posts the base64 image here; the Roboflow API key is attached
+// server-side from the environment so it never ships in the client bundle.
+// Successful responses carry the model that answered in an X-Model-Id header.
+
+const DEFAULT_MODEL_ENDPOINT = 'https://serverless.roboflow.com/pill-detection-eye/1';
+const DEFAULT_MAX_BODY_BYTES = 4 * 1024 * 1024; // Vercel rejects bodies above 4.5MB
+const DEFAULT_RATE_LIMIT = 30; // requests per client per window
+const DEFAULT_RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Fixed-window in-memory rate limiter keyed by client id.
+ * State lives as long as the function instance stays warm, which is
+ * enough to stop a single client from hammering the model.
+ */
+export const createRateLimiter = ({ limit, windowMs }) => {
+    const clients = new Map();
+
+    return (clientId, now = Date.now()) => {
+        let entry = clients.get(clientId);
+
+        if (!entry || now - entry.start >= windowMs) {
+            entry = { start: now, count: 0 };
+            clients.set(clientId, entry);
+        }
+
+        entry.count += 1;
+
+        // Drop expired entries so the map does not grow without bound
+        if (clients.size > 1000) {
+            for (const [id, e] of clients) {
+                if (now - e.start >= windowMs) clients.delete(id);
+            }
+        }
+
+        return {
+            allowed: entry.count <= limit,
+            remaining: Math.max(0, limit - entry.count),
+            retryAfterSeconds: Math.ceil((entry.start + windowMs - now) / 1000)
+        };
+    };
+};
+
+const rateLimit = createRateLimiter({
+    limit: Number(process.env.DETECT_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    windowMs: Number(process.env.DETECT_RATE_WINDOW_MS) || DEFAULT_RATE_WINDOW_MS
+});
+
+/**
+ * Identifies the caller by the first forwarded address, falling back to the socket
+ */
+const getClientId = (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+    return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Model id ("project/version") from the endpoint URL, e.g. "pill-detection-eye/1"
+ */
+export const modelIdFromEndpoint = (endpoint) => {
+    try {
+        return new URL(endpoint).pathname.replace(/^\/+|\/+$/g, '') || endpoint;
+    } catch {
+        return endpoint;
+    }
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads the raw request body, rejecting as soon as it exceeds maxBytes
+ */
+const readBody = (req, maxBytes) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+        return;
+    }
+
+    const apiKey = process.env.ROBOFLOW_API_KEY;
+    const modelEndpoint = process.env.ROBOFLOW_MODEL_ENDPOINT || DEFAULT_MODEL_ENDPOINT;
+    const maxBodyBytes = Number(process.env.DETECT_MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES;
+
+    if (!apiKey) {
+        console.error('Detection proxy: ROBOFLOW_API_KEY is not set');
+        sendJson(res, 500, { error: 'Detection service is not configured' });
+        return;
+    }
+
+    const limit = rateLimit(getClientId(req));
+    if (!limit.allowed) {
+        sendJson(res, 429, { error: 'Too many requests' }, {
+            'Retry-After': String(limit.retryAfterSeconds)
+        });
+        return;
+    }
+
+    const declaredLength = Number(req.headers['content-length']);
+    if (declaredLength > maxBodyBytes) {
+        sendJson(res, 413, { error: 'Image too large' });
+        return;
+    }
+
+    let base64Data;
+    try {
+        base64Data = await readBody(req, maxBodyBytes);
+    } catch (error) {
+        sendJson(res, error.status || 400, {
+            error: error.status === 413 ? 'Image too large' : 'Could not read request body'
+        });
+        return;
+    }
+
+    if (!base64Data) {
+        sendJson(res, 400, { error: 'Missing image data' });
+        return;
+    }
+
+    try {
+        const response = await fetch(`${modelEndpoint}?api_key=${encodeURIComponent(apiKey)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: base64Data
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            console.error(`Detection proxy: model returned ${response.status}`, data);
+            sendJson(res, response.status >= 500 ? 502 : response.status, {
+                error: 'Model request failed'
+            });
+            return;
+        }
+
+        sendJson(res, 200, data, {
+            'X-RateLimit-Remaining': String(limit.remaining),
+            'X-Model-Id': modelIdFromEndpoint(modelEndpoint)
+        });
+    } catch (error) {
+        console.error('Detection proxy: model unreachable', error);
+        sendJson(res, 502, { error: 'Model unreachable' });
+    }
+}
@@ -0,0 +1,69 @@
+// scripts/check-upload-size.js
+// Checks that what the client uploads for a 12MP (4032x3024) phone capture gets
+// through the /api/detect proxy: the upload is scaled to UPLOAD_MAX_DIMENSION and
+// re-encoded until its base64 body is at most UPLOAD_MAX_BODY_BYTES, and the proxy
+// must accept a body of exactly that size. Runs the real handler against a local
+// stand-in for the model.
+//
+//   npm run check:upload
+
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import {
+    UPLOAD_MAX_DIMENSION,
+    UPLOAD_MAX_BODY_BYTES,
+    base64Length,
+    fitsUploadBudget,
+    uploadScale
+} from '../src/uploadBudget.js';
+
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const model = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ image: { width: 2048, height: 1536 }, predictions: [] }));
+    });
+});
+const modelPort = await listen(model);
+
+process.env.ROBOFLOW_API_KEY = 'check-key';
+process.env.ROBOFLOW_MODEL_ENDPOINT = `http://127.0.0.1:${modelPort}/pill-detection-eye/1`;
+const { default: handler } = await import('../api/detect.js');
+
+const proxy = http.createServer(handler);
+const proxyPort = await listen(proxy);
+
+const post = async (bytes) => {
+    const response = await fetch(`http://127.0.0.1:${proxyPort}/api/detect`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'A'.repeat(bytes)
+    });
+    await response.arrayBuffer();
+    return response.status;
+};
+
+try {
+    // 1. A 4032x3024 capture is scaled to 2048x1536 before upload
+    const scale = uploadScale(4032, 3024);
+    assert.equal(Math.round(4032 * scale), UPLOAD_MAX_DIMENSION);
+    assert.equal(Math.round(3024 * scale), 1536);
+    console.log(`✓ 4032x3024 uploads as ${Math.round(4032 * scale)}x${Math.round(3024 * scale)}`);
+
+    // 2. The largest body the client will ever send is accepted by the proxy
+    assert.equal(await post(UPLOAD_MAX_BODY_BYTES), 200);
+    console.log(`✓ Proxy accepts the ${(UPLOAD_MAX_BODY_BYTES / 1024 / 1024).toFixed(1)}MB upload cap`);
+
+    // 3. A typical unscaled 12MP JPEG (~4.5MB) would not fit and is re-encoded instead
+    const unscaled = 4.5 * 1024 * 1024;
+    assert.equal(fitsUploadBudget(unscaled), false);
+    assert.equal(await post(base64Length(unscaled)), 413);
+    console.log('✓ An unscaled 12MP JPEG is over the limit, so the client re-encodes it');
+} finally {
+    proxy.close();
+    model.close();
+}
@@ -0,0 +1,63 @@
+// scripts/mock-model-server.js
+// Local stand-in for the Roboflow model endpoint, used by the /api/detect
+// proxy during development. Answers POST /<model>/<version>?api_key=... with
+// deterministic Roboflow-shaped predictions sized to the uploaded image.
+//
+//   npm run mock-model
+//   ROBOFLOW_MODEL_ENDPOINT=http://localhost:9002/pill-detection-eye/1
+
+import http from 'node:http';
+import { createMockDetector } from '../src/mockDetector.js';
+
+const PORT = Number(process.env.MOCK_MODEL_PORT) || 9002;
+const detector = createMockDetector({
+    seed: Number(process.env.MOCK_DETECTOR_SEED) || 42,
+    count: Number(process.env.MOCK_DETECTOR_COUNT) || 24
+});
+
+/**
+ * Reads width/height from a JPEG (SOFn marker) or PNG (IHDR) header
+ */
+const getImageSize = (buffer) => {
+    if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    let offset = 2;
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        const isSof = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isSof) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.statusCode = 405;
+        res.end();
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+        const base64Data = Buffer.concat(chunks).toString('utf8');
+        const size = getImageSize(Buffer.from(base64Data, 'base64')) || { width: 1024, height: 768 };
+        const { image, predictions } = await detector.detect(null, size);
+
+        console.log(`Mock model: ${req.url.split('?')[0]} ${image.width}x${image.height} -> ${predictions.length} predictions`);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ image, predictions }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock model server listening on http://localhost:${PORT}`);
+});
@@ -1,13 +1,51 @@
 // App.jsx
 // Main application component with all iPhone fixes integrated
 
-import React, { useState, useRef } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import ResultsDisplay from './ResultsDisplay';
+import ImageEditor from './ImageEditor';
+import CameraCapture from './CameraCapture';
+import SessionPanel from './SessionPanel';
+import QueuePanel from './QueuePanel';
+import HistoryScreen from './HistoryScreen';
+import BarcodeScanner from './BarcodeScanner';
+import VerificationScreen from './VerificationScreen';
+import AuditLogScreen from './AuditLogScreen';
 import {
     validateAndCompressImage,
     processAndDisplayImage,
     getErrorMessage
 } from './imageProcessing';
+import { applyCropAndRotation } from './imageTransform';
+import { releaseImage } from './imagePipeline';
+import { isOnDeviceSupported } from './onDeviceDetector';
+import { getDetector } from './detectors';
+import { isCameraSupported } from './camera';
+import { isVideoFile, countVideo } from './videoCounting';
+import { createFrozenFrameDetector } from './liveCounting';
+import { isCancelledError, MAX_RETRIES } from './detectorRequest';
+import {
+    createSession,
+    addPour,
+    replacePour,
+    removePour,
+    releasePour,
+    sessionTotal
+} from './countingSession';
+import { isDatabaseSupported } from './db';
+import { saveToHistory, openHistoryEntry } from './countHistory';
+import { parseTarget } from './targetQuantity';
+import { describeDrug } from './drugCodes';
+import {
+    isQueueableError,
+    enqueueCapture,
+    listQueue,
+    processQueue,
+    removeFromQueue,
+    retryQueued,
+    openQueuedResult,
+    queueRetryDelay
+} from './offlineQueue';
 import './App.css';
 
 function App() {
@@ -15,40 +53,284 @@ function App() {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [progress, setProgress] = useState({ percent: 0, message: '' });
+    const [tiledMode, setTiledMode] = useState(false);
+    const [pendingImage, setPendingImage] = useState(null);
+    const [qualityPrompt, setQualityPrompt] = useState(null);
+    const [cameraOpen, setCameraOpen] = useState(false);
+    // Multi-pour tally session; recountPourId is the pour the next capture replaces
+    const [session, setSession] = useState(null);
+    const [recountPourId, setRecountPourId] = useState(null);
+    // Set while a detector call is running so the loading overlay can cancel it
+    const [abortController, setAbortController] = useState(null);
+    // Falls back to the OS camera (file input) once getUserMedia is refused
+    const [cameraBlocked, setCameraBlocked] = useState(() => !isCameraSupported());
+    // On-device inference is offered once the model file is confirmed present (null while
+    // checking), and switched on by default when the page loads without connectivity
+    const [onDeviceAvailable, setOnDeviceAvailable] = useState(null);
+    const [onDeviceMode, setOnDeviceMode] = useState(false);
+    // Captures saved while offline (IndexedDB) and the latest "result ready" notice
+    const [queue, setQueue] = useState([]);
+    const [notice, setNotice] = useState(null);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    // Optional prescribed quantity the count is checked against
+    const [targetQuantity, setTargetQuantity] = useState('');
+    // Drug identity scanned from the stock bottle; tags every count until cleared
+    const [drug, setDrug] = useState(null);
+    const [scannerOpen, setScannerOpen] = useState(false);
+    // Two-person verification in progress (shown over the results) and the audit log screen
+    const [verifying, setVerifying] = useState(null);
+    const [auditOpen, setAuditOpen] = useState(false);
     const fileInputRef = useRef(null);
     const cameraInputRef = useRef(null);
+    // Automatic queue runs since the queue last emptied (drives the retry backoff)
+    const queueRetryRef = useRef(0);
+
+    const refreshQueue = async () => {
+        try {
+            setQueue(await listQueue());
+        } catch (err) {
+            console.error('Failed to read offline queue:', err);
+        }
+    };
+
+    const notifyQueuedResult = (item) => {
+        const message = `Saved capture from ${new Date(item.createdAt).toLocaleTimeString()} counted: ${item.result.pillCount} pills`;
+        setNotice({ message, itemId: item.id });
+        if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            new Notification('Pill count ready', { body: message });
+        }
+    };
+
+    const runQueue = async () => {
+        try {
+            await processQueue({
+                onItemDone: (item) => {
+                    refreshQueue();
+                    notifyQueuedResult(item);
+                },
+                onItemFailed: refreshQueue
+            });
+        } catch (err) {
+            console.error('Failed to process offline queue:', err);
+            setNotice({ message: 'Could not count the saved photos. They will be tried again shortly.' });
+        }
+        refreshQueue();
+    };
+
+    useEffect(() => {
+        if (!isOnDeviceSupported()) return;
+
+        getDetector({ provider: 'on-device' }).checkModel().then((available) => {
+            setOnDeviceAvailable(available);
+            if (available && navigator.onLine === false) setOnDeviceMode(true);
+        });
+    }, []);
+
+    // Count queued captures on start-up and whenever connectivity returns
+    useEffect(() => {
+        if (!isDatabaseSupported()) return;
+
+        refreshQueue();
+        if (navigator.onLine) runQueue();
+        window.addEventListener('online', runQueue);
+        return () => window.removeEventListener('online', runQueue);
+    }, []);
+
+    // Captures left pending by timeouts or server errors while online are retried with
+    // backoff for as long as the page stays open
+    useEffect(() => {
+        if (!queue.some(item => item.status === 'pending')) {
+            queueRetryRef.current = 0;
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            queueRetryRef.current += 1;
+            if (navigator.onLine) runQueue();
+        }, queueRetryDelay(queueRetryRef.current));
+        return () => clearTimeout(timer);
+    }, [queue]);
 
     const handleImageCapture = async (file) => {
         if (!file) return;
+        if (isVideoFile(file)) {
+            handleVideoCapture(file);
+            return;
+        }
 
         try {
             setIsLoading(true);
             setError(null);
             setProgress({ percent: 0, message: 'Starting...' });
 
-            // Validate and compress image (fixes Issue #2)
-            const validatedFile = await validateAndCompressImage(file);
+            // Validate, decode once and compress image (fixes Issue #2)
+            const preparedImage = await validateAndCompressImage(file);
             setProgress({ percent: 20, message: 'Image validated' });
 
+            // Hand off to the crop & rotate step
+            setPendingImage(preparedImage);
+            setIsLoading(false);
+
+        } catch (err) {
+            setIsLoading(false);
+            setError(getErrorMessage(err));
+            console.error('Image capture error:', err);
+        }
+    };
+
+    const startDetection = () => {
+        const controller = new AbortController();
+        setAbortController(controller);
+        return controller.signal;
+    };
+
+    // Retry / rate-limit updates from the detector request replace the progress message
+    const handleRequestStatus = (status) => {
+        const message = status.type === 'rate-limit'
+            ? `Detection service busy - retrying in ${status.secondsLeft}s`
+            : `Connection problem - retrying (${status.attempt} of ${MAX_RETRIES})...`;
+        setProgress((current) => ({ ...current, message }));
+    };
+
+    const resetInputs = () => {
+        if (fileInputRef.current) fileInputRef.current.value = '';
+        if (cameraInputRef.current) cameraInputRef.current.value = '';
+    };
+
+    // Video pans skip crop & rotate: frames are sampled and counted, the best one is shown
+    const handleVideoCapture = async (file) => {
+        try {
+            setIsLoading(true);
+            setError(null);
+            setProgress({ percent: 0, message: 'Starting...' });
+
+            const result = await countVideo(
+                file,
+                (percent, message) => {
+                    setProgress({ percent, message });
+                },
+                {
+                    tiling: tiledMode,
+                    detector: onDeviceMode ? { provider: 'on-device' } : undefined,
+                    signal: startDetection(),
+                    onRequestStatus: handleRequestStatus
+                }
+            );
+
+            setResults(result);
+            setIsLoading(false);
+
+        } catch (err) {
+            setIsLoading(false);
+            if (isCancelledError(err)) {
+                resetInputs();
+                return;
+            }
+            setError(getErrorMessage(err));
+            console.error('Video capture error:', err);
+        } finally {
+            setAbortController(null);
+        }
+    };
+
+    // Resolves true when the user chooses to count despite quality issues
+    const askAboutQuality = (quality) => {
+        return new Promise((resolve) => setQualityPrompt({ quality, resolve }));
+    };
+
+    const answerQualityPrompt = (proceed) => {
+        qualityPrompt.resolve(proceed);
+        setQualityPrompt(null);
+    };
+
+    // Keeps the (already cropped) photo in the offline queue instead of losing it
+    const saveForLater = async (editedImage, countOptions) => {
+        await enqueueCapture(editedImage.file, countOptions, { drug, target: parseTarget(targetQuantity) });
+        releaseImage(editedImage);
+        resetInputs();
+        refreshQueue();
+        setNotice({ message: 'Could not reach the detection service. The photo was saved and will be counted automatically when the connection is back.' });
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    };
+
+    const handleEditorConfirm = async (transform, image = pendingImage, frozenFrame = null) => {
+        let editedImage = null;
+        // A frozen live frame keeps the detections the live detector made on it
+        const countOptions = frozenFrame
+            ? { tiling: false, detector: createFrozenFrameDetector(frozenFrame) }
+            : { tiling: tiledMode, detector: onDeviceMode ? { provider: 'on-device' } : undefined };
+        const canQueue = !onDeviceMode && !frozenFrame && isDatabaseSupported();
+        setPendingImage(null);
+
+        try {
+            setIsLoading(true);
+            setProgress({ percent: 20, message: 'Applying crop...' });
+
+            // Bake crop/rotation into the pixels so box coordinates match the processed image
+            editedImage = await applyCropAndRotation(image, transform);
+
+            if (canQueue && navigator.onLine === false) {
+                await saveForLater(editedImage, countOptions);
+                setIsLoading(false);
+                return;
+            }
+
             // Process image (fixes Issue #1 - preserves original)
             const result = await processAndDisplayImage(
-                validatedFile,
+                editedImage,
                 (percent, message) => {
                     setProgress({ percent, message });
+                },
+                {
+                    ...countOptions,
+                    onQualityIssues: askAboutQuality,
+                    signal: startDetection(),
+                    onRequestStatus: handleRequestStatus
                 }
             );
 
             // Update results
-            setResults(result);
+            setResults({
+                ...result,
+                transform,
+                liveFrame: frozenFrame ? { detectorId: frozenFrame.detectorId } : null
+            });
             setIsLoading(false);
 
         } catch (err) {
             setIsLoading(false);
+            if (err.retake || isCancelledError(err)) {
+                // Retake after the quality check, or the user cancelled - back to the capture screen
+                releaseImage(editedImage);
+                resetInputs();
+                return;
+            }
+            if (canQueue && editedImage && isQueueableError(err)) {
+                try {
+                    await saveForLater(editedImage, countOptions);
+                    return;
+                } catch (queueErr) {
+                    console.error('Failed to queue capture:', queueErr);
+                }
+            }
+            releaseImage(editedImage);
             setError(getErrorMessage(err));
             console.error('Image capture error:', err);
+        } finally {
+            setAbortController(null);
         }
     };
 
+    const handleEditorCancel = () => {
+        releaseImage(pendingImage);
+        setPendingImage(null);
+        if (fileInputRef.current) fileInputRef.current.value = '';
+        if (cameraInputRef.current) cameraInputRef.current.value = '';
+    };
+
     const handleFileSelect = (event) => {
         const file = event.target.files[0];
         if (file) {
@@ -63,11 +345,50 @@ function App() {
         }
     };
 
+    const handleViewfinderCapture = (file) => {
+        setCameraOpen(false);
+        handleImageCapture(file);
+    };
+
+    // Live mode "Freeze": the frame is already framed by the user, so skip crop & rotate,
+    // and count it with the detections the live detector made on that frame
+    const handleLiveFreeze = async (file, frame) => {
+        setCameraOpen(false);
+        try {
+            setIsLoading(true);
+            setError(null);
+            setProgress({ percent: 0, message: 'Starting...' });
+
+            const preparedImage = await validateAndCompressImage(file);
+            await handleEditorConfirm({ rotation: 0, crop: null }, preparedImage, frame);
+
+        } catch (err) {
+            setIsLoading(false);
+            setError(getErrorMessage(err));
+            console.error('Image capture error:', err);
+        }
+    };
+
+    const handleCameraUnavailable = (err, reason) => {
+        const causes = {
+            'denied': 'Camera access was denied.',
+            'not-found': 'No camera was found on this device.',
+            'overconstrained': 'The camera does not support the requested settings.',
+            'in-use': 'The camera is in use by another app or could not be started.'
+        };
+        setCameraOpen(false);
+        setCameraBlocked(true);
+        setError(`${causes[reason] || 'Could not start the camera.'} Take Photo will use your device camera app instead.`);
+    };
+
     const handleRetake = () => {
         // Clean up previous results
         if (results?.originalImageUrl) {
             URL.revokeObjectURL(results.originalImageUrl);
         }
+        if (results?.imageBitmap) {
+            results.imageBitmap.close();
+        }
 
         setResults(null);
         setError(null);
@@ -78,22 +399,208 @@ function App() {
         if (cameraInputRef.current) cameraInputRef.current.value = '';
     };
 
-    const handleSave = () => {
-        console.log('Results saved');
-        // You can add additional save logic here (e.g., save to database)
+    const handleAddToSession = (pour) => {
+        const current = session || createSession();
+        const previous = current.pours.find(p => p.id === recountPourId);
+
+        if (previous) {
+            releasePour(previous);
+            setSession(replacePour(current, recountPourId, pour));
+        } else {
+            setSession(addPour(current, pour));
+        }
+        setRecountPourId(null);
+        handleRetake();
+    };
+
+    const handleRemovePour = (pourId) => {
+        releasePour(session.pours.find(p => p.id === pourId));
+        const next = removePour(session, pourId);
+        setSession(next.pours.length > 0 ? next : null);
+        if (recountPourId === pourId) setRecountPourId(null);
+    };
+
+    const handleEndSession = () => {
+        if (!window.confirm('End this session? The running total will be cleared.')) return;
+        session.pours.forEach(releasePour);
+        setSession(null);
+        setRecountPourId(null);
+    };
+
+    const handleViewQueued = async (item) => {
+        try {
+            const result = await openQueuedResult(item);
+            await removeFromQueue(item.id);
+            refreshQueue();
+            setNotice(null);
+            setResults(result);
+        } catch (err) {
+            console.error('Failed to open queued result:', err);
+            setError('Could not open the saved result. Please try again.');
+        }
+    };
+
+    const handleRetryQueued = async (item) => {
+        try {
+            await retryQueued(item);
+        } catch (err) {
+            console.error('Failed to retry queued capture:', err);
+            setError('Could not retry the saved photo. Please try again.');
+            return;
+        }
+        await refreshQueue();
+        if (navigator.onLine) runQueue();
+    };
+
+    const handleRetryQueueNow = () => {
+        queueRetryRef.current = 0;
+        runQueue();
+    };
+
+    const handleRemoveQueued = async (item) => {
+        try {
+            await removeFromQueue(item.id);
+        } catch (err) {
+            console.error('Failed to remove queued capture:', err);
+            setError('Could not remove the saved photo. Please try again.');
+        }
+        refreshQueue();
+    };
+
+    // Saves to IndexedDB history; saving a re-opened entry updates it in place
+    const handleSave = async (payload) => {
+        const entry = await saveToHistory({
+            ...payload,
+            id: results.historyId || results.auditId,
+            verification: results.verification,
+            imageUrl: results.originalImageUrl,
+            detectorId: results.detectorId,
+            modelId: results.modelId,
+            capturedAt: results.timestamp,
+            video: results.video,
+            quality: results.quality || null,
+            tiling: results.tiling || null,
+            duplicates: results.duplicates || null
+        });
+        setResults((current) => ({ ...current, historyId: entry.id }));
+    };
+
+    // Audit events for one count share an id; it becomes the history id if the count is saved
+    const handleVerify = (summary) => {
+        const countId = results.historyId || results.auditId || `count-${Date.now()}`;
+        setResults((current) => ({ ...current, auditId: countId }));
+        setVerifying({ ...summary, countId });
+    };
+
+    const handleVerificationComplete = (verification) => {
+        setResults((current) => ({ ...current, verification }));
+        setVerifying(null);
+    };
+
+    const handleOpenHistoryEntry = async (entry) => {
+        try {
+            const result = await openHistoryEntry(entry);
+            setHistoryOpen(false);
+            setResults(result);
+        } catch (err) {
+            console.error('Failed to open saved count:', err);
+            setError('Could not open the saved count. Please try again.');
+            setHistoryOpen(false);
+        }
     };
 
     // If we have results, show the results screen
     if (results) {
         return (
-            <ResultsDisplay
-                originalImageUrl={results.originalImageUrl}
-                detections={results.detections}
-                pillCount={results.pillCount}
-                originalWidth={results.originalWidth}
-                originalHeight={results.originalHeight}
-                onRetake={handleRetake}
-                onSave={handleSave}
+            <>
+                <ResultsDisplay
+                    originalImageUrl={results.originalImageUrl}
+                    imageBitmap={results.imageBitmap}
+                    predictions={results.predictions}
+                    threshold={results.threshold}
+                    nms={results.nms}
+                    originalWidth={results.originalWidth}
+                    originalHeight={results.originalHeight}
+                    videoSummary={results.video}
+                    session={session && {
+                        total: sessionTotal(session) - (session.pours.find(p => p.id === recountPourId)?.count || 0),
+                        pourCount: session.pours.length,
+                        recountIndex: recountPourId ? session.pours.findIndex(p => p.id === recountPourId) : null
+                    }}
+                    onAddToSession={handleAddToSession}
+                    restored={results.restored}
+                    savedId={results.historyId}
+                    target={results.restored ? results.restored.target : parseTarget(targetQuantity)}
+                    drug={results.restored ? results.restored.drug : drug}
+                    verification={results.verification}
+                    capturedAt={results.timestamp}
+                    detectorId={results.detectorId}
+                    liveFrame={results.liveFrame}
+                    quality={results.quality}
+                    modelId={results.modelId}
+                    onVerify={isDatabaseSupported() ? handleVerify : undefined}
+                    onRetake={handleRetake}
+                    onSave={isDatabaseSupported() ? handleSave : undefined}
+                />
+                {verifying && (
+                    <VerificationScreen
+                        summary={verifying}
+                        onComplete={handleVerificationComplete}
+                        onCancel={() => setVerifying(null)}
+                    />
+                )}
+            </>
+        );
+    }
+
+    // Verification audit log
+    if (auditOpen) {
+        return <AuditLogScreen onClose={() => setAuditOpen(false)} />;
+    }
+
+    // Saved counts
+    if (historyOpen) {
+        return (
+            <HistoryScreen
+                onOpen={handleOpenHistoryEntry}
+                onClose={() => setHistoryOpen(false)}
+            />
+        );
+    }
+
+    // Stock bottle barcode scan
+    if (scannerOpen) {
+        return (
+            <BarcodeScanner
+                onScanned={(scanned) => {
+                    setDrug(scanned);
+                    setScannerOpen(false);
+                }}
+                onCancel={() => setScannerOpen(false)}
+            />
+        );
+    }
+
+    // In-app camera viewfinder
+    if (cameraOpen) {
+        return (
+            <CameraCapture
+                onCapture={handleViewfinderCapture}
+                onDevice={onDeviceMode}
+                onFreeze={handleLiveFreeze}
+                onCancel={() => setCameraOpen(false)}
+                onUnavailable={handleCameraUnavailable}
+            />
+        );
+    }
+
+    // Crop & rotate step between validation and detection
+    if (pendingImage) {
+        return (
+            <ImageEditor
+                image={pendingImage}
+                onConfirm={handleEditorConfirm}
+                onCancel={handleEditorCancel}
             />
         );
     }
@@ -111,6 +618,11 @@ function App() {
                     <p className="app-subtitle">
                         Accurate AI-powered pill counting
                     </p>
+                    {queue.some(item => item.status === 'pending') && (
+                        <span className="pending-badge">
+                            ⏳ {queue.filter(item => item.status === 'pending').length} pending
+                        </span>
+                    )}
                 </header>
 
                 {/* Main content area */}
@@ -128,9 +640,63 @@ function App() {
                         </div>
                     )}
 
+                    {/* Result ready / saved-for-later notice */}
+                    {notice && (
+                        <div className="queue-notice">
+                            <p className="queue-notice-text">{notice.message}</p>
+                            <div className="queue-notice-actions">
+                                {notice.itemId && queue.some(item => item.id === notice.itemId) && (
+                                    <button
+                                        className="queue-notice-view"
+                                        onClick={() => handleViewQueued(queue.find(item => item.id === notice.itemId))}
+                                    >
+                                        View
+                                    </button>
+                                )}
+                                <button className="queue-notice-dismiss" onClick={() => setNotice(null)}>
+                                    Dismiss
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Captures waiting for connectivity */}
+                    <QueuePanel
+                        items={queue}
+                        onView={handleViewQueued}
+                        onRetry={handleRetryQueued}
+                        onRetryNow={handleRetryQueueNow}
+                        onRemove={handleRemoveQueued}
+                    />
+
+                    {/* Running total across pours */}
+                    {session && (
+                        <SessionPanel
+                            session={session}
+                            recountingId={recountPourId}
+                            onRemove={handleRemovePour}
+                            onRecount={setRecountPourId}
+                            onEnd={handleEndSession}
+                        />
+                    )}
+
                     <div className="capture-options">
-                        {/* Camera capture button */}
+                        {/* Camera capture button: in-app viewfinder, or the OS camera as a fallback */}
                         <div className="capture-option">
+                            {!cameraBlocked && (
+                                <button
+                                    className={`capture-button camera ${isLoading ? 'disabled' : ''}`}
+                                    onClick={() => {
+                                        setError(null);
+                                        setCameraOpen(true);
+                                    }}
+                                    disabled={isLoading}
+                                >
+                                    <span className="button-icon">📸</span>
+                                    <span className="button-label">Take Photo</span>
+                                    <span className="button-hint">Use your camera</span>
+                                </button>
+                            )}
                             <input
                                 ref={cameraInputRef}
                                 type="file"
@@ -141,14 +707,16 @@ function App() {
                                 id="camera-input"
                                 disabled={isLoading}
                             />
-                            <label
-                                htmlFor="camera-input"
-                                className={`capture-button camera ${isLoading ? 'disabled' : ''}`}
-                            >
-                                <span className="button-icon">📸</span>
-                                <span className="button-label">Take Photo</span>
-                                <span className="button-hint">Use your camera</span>
-                            </label>
+                            {cameraBlocked && (
+                                <label
+                                    htmlFor="camera-input"
+                                    className={`capture-button camera ${isLoading ? 'disabled' : ''}`}
+                                >
+                                    <span className="button-icon">📸</span>
+                                    <span className="button-label">Take Photo</span>
+                                    <span className="button-hint">Use your camera</span>
+                                </label>
+                            )}
                         </div>
 
                         <div className="divider">
@@ -160,7 +728,7 @@ function App() {
                             <input
                                 ref={fileInputRef}
                                 type="file"
-                                accept="image/*"
+                                accept="image/*,.heic,.heif,video/*"
                                 onChange={handleFileSelect}
                                 style={{ display: 'none' }}
                                 id="file-input"
@@ -172,18 +740,145 @@ function App() {
                             >
                                 <span className="button-icon">🖼️</span>
                                 <span className="button-label">Choose Photo</span>
-                                <span className="button-hint">From your gallery</span>
+                                <span className="button-hint">Photo or short video from your gallery</span>
                             </label>
                         </div>
                     </div>
+
+                    {/* Drug identity from the stock bottle barcode */}
+                    {drug ? (
+                        <div className="drug-tag">
+                            <span className="drug-tag-text">
+                                <span className="mode-toggle-label">Stock bottle</span>
+                                <span className="drug-tag-value">{describeDrug(drug)}</span>
+                            </span>
+                            <button
+                                className="drug-tag-clear"
+                                onClick={() => setDrug(null)}
+                                aria-label="Clear scanned drug"
+                                disabled={isLoading}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ) : (
+                        <button
+                            className="scan-link"
+                            onClick={() => {
+                                setError(null);
+                                setScannerOpen(true);
+                            }}
+                            disabled={isLoading}
+                        >
+                            🏷️ Scan Stock Bottle
+                        </button>
+                    )}
+
+                    {/* Prescription quantity to verify the count against */}
+                    <label className="target-field">
+                        <span className="target-field-text">
+                            <span className="mode-toggle-label">Target quantity</span>
+                            <span className="mode-toggle-hint">Optional - shows MATCH / OVER / UNDER</span>
+                        </span>
+                        <input
+                            type="number"
+                            inputMode="numeric"
+                            min="1"
+                            step="1"
+                            placeholder="e.g. 30"
+                            value={targetQuantity}
+                            onChange={(e) => setTargetQuantity(e.target.value)}
+                            disabled={isLoading}
+                        />
+                    </label>
+
+                    {/* Tiled mode for distant / full-tray photos */}
+                    <label className={`mode-toggle ${isLoading ? 'disabled' : ''}`}>
+                        <input
+                            type="checkbox"
+                            checked={tiledMode}
+                            onChange={(e) => setTiledMode(e.target.checked)}
+                            disabled={isLoading}
+                        />
+                        <span className="mode-toggle-text">
+                            <span className="mode-toggle-label">Tiled mode</span>
+                            <span className="mode-toggle-hint">For full trays photographed from a distance</span>
+                        </span>
+                    </label>
+
+                    {/* On-device inference: works offline, images never leave the device.
+                        No model ships with the app, so it stays off until one is installed. */}
+                    {onDeviceAvailable !== null && (
+                        <label className={`mode-toggle ${isLoading || !onDeviceAvailable ? 'disabled' : ''}`}>
+                            <input
+                                type="checkbox"
+                                checked={onDeviceMode}
+                                onChange={(e) => setOnDeviceMode(e.target.checked)}
+                                disabled={isLoading || !onDeviceAvailable}
+                            />
+                            <span className="mode-toggle-text">
+                                <span className="mode-toggle-label">On-device mode</span>
+                                <span className="mode-toggle-hint">
+                                    {onDeviceAvailable
+                                        ? 'Works offline; the photo never leaves this device'
+                                        : 'Unavailable: no on-device model is installed'}
+                                </span>
+                            </span>
+                        </label>
+                    )}
+
+                    {/* Saved counts */}
+                    {isDatabaseSupported() && (
+                        <button
+                            className="history-link"
+                            onClick={() => setHistoryOpen(true)}
+                            disabled={isLoading}
+                        >
+                            🗂️ Saved Counts
+                        </button>
+                    )}
+
+                    {/* Two-person verification log */}
+                    {isDatabaseSupported() && (
+                        <button
+                            className="history-link"
+                            onClick={() => setAuditOpen(true)}
+                            disabled={isLoading}
+                        >
+                            📜 Audit Log
+                        </button>
+                    )}
                 </div>
 
                 {/* Footer */}
                 <footer className="app-footer">
-                    <p>Powered by AI • Privacy-First • No Data Stored</p>
+                    <p>Powered by AI • Saved counts, queue and audit log stay on this device</p>
                 </footer>
             </div>
 
+            {/* Retake recommended dialog (quality check before detection) */}
+            {qualityPrompt && (
+                <div className="quality-overlay">
+                    <div className="quality-card">
+                        <div className="quality-icon">📷</div>
+                        <h2 className="quality-title">Retake recommended</h2>
+                        <ul className="quality-issues">
+                            {qualityPrompt.quality.issues.map((issue) => (
+                                <li key={issue.code}>{issue.message}</li>
+                            ))}
+                        </ul>
+                        <div className="quality-actions">
+                            <button className="quality-retake" onClick={() => answerQualityPrompt(false)}>
+                                Retake
+                            </button>
+                            <button className="quality-override" onClick={() => answerQualityPrompt(true)}>
+                                Count Anyway
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Loading Overlay */}
             {isLoading && (
                 <div className="loading-overlay">
@@ -197,6 +892,11 @@ function App() {
                             />
                         </div>
                         <p className="progress-percent">{Math.round(progress.percent)}%</p>
+                        {abortController && (
+                            <button className="loading-cancel" onClick={() => abortController.abort()}>
+                                Cancel
+                            </button>
+                        )}
                     </div>
                 </div>
             )}
@@ -0,0 +1,93 @@
+// AuditLogScreen.jsx
+// Read-only view of the verification audit log with a chain integrity check and
+// a JSON export for inspections.
+
+import React, { useEffect, useState } from 'react';
+import { listAuditLog, verifyAuditChain, exportAuditLog, AUDIT_EVENT_LABELS } from './auditLog';
+import { describeDrug } from './drugCodes';
+import { downloadBlob } from './historyExport';
+import './HistoryScreen.css';
+import './AuditLogScreen.css';
+
+const describeEvent = ({ type, data }) => {
+    const parts = [`${data.count} pills`];
+    if (data.drug) parts.push(describeDrug(data.drug));
+    if (type === 'count-submitted') parts.push(`by ${data.counter.initials}`);
+    if (type === 'count-verified') parts.push(`counter ${data.counter.initials}, verifier ${data.verifier.initials}`);
+    if (type === 'count-disputed') {
+        parts.push(`verifier ${data.verifier.initials} counted ${data.verifierCount}: ${data.reason}${data.details ? ` - ${data.details}` : ''}`);
+    }
+    return parts.join(' · ');
+};
+
+function AuditLogScreen({ onClose }) {
+    const [entries, setEntries] = useState(null);
+    const [integrity, setIntegrity] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+
+    useEffect(() => {
+        listAuditLog()
+            .then(async (log) => {
+                setIntegrity(await verifyAuditChain(log));
+                setEntries(log);
+            })
+            .catch((err) => {
+                console.error('Failed to load audit log:', err);
+                setLoadError('Could not load the audit log.');
+                setEntries([]);
+            });
+    }, []);
+
+    const handleExport = async () => {
+        try {
+            downloadBlob(await exportAuditLog(), `pill-count-audit-${new Date().toISOString().slice(0, 10)}.json`);
+        } catch (err) {
+            console.error('Audit export failed:', err);
+            setLoadError('Could not export the audit log.');
+        }
+    };
+
+    return (
+        <div className="history-screen">
+            <header className="history-header">
+                <button className="history-back" onClick={onClose}>‹ Back</button>
+                <h2 className="history-title">Audit Log</h2>
+                <button className="audit-export" onClick={handleExport} disabled={!entries?.length}>
+                    Export
+                </button>
+            </header>
+
+            {integrity && entries.length > 0 && (
+                <p className={`audit-integrity ${integrity.valid ? 'valid' : 'broken'}`}>
+                    {integrity.valid
+                        ? `✓ Chain intact - ${integrity.count} entries`
+                        : `⚠ Chain broken at entry #${integrity.brokenAt}: ${integrity.reason}`}
+                </p>
+            )}
+
+            <div className="history-body">
+                {entries === null ? (
+                    <div className="loading-spinner" />
+                ) : entries.length === 0 ? (
+                    <p className="history-empty">{loadError || 'No verification events yet.'}</p>
+                ) : (
+                    <ol className="history-list">
+                        {[...entries].reverse().map((entry) => (
+                            <li key={entry.seq} className={`audit-entry ${entry.type}`}>
+                                <span className="audit-entry-head">
+                                    #{entry.seq} {AUDIT_EVENT_LABELS[entry.type] || entry.type}
+                                </span>
+                                <span className="audit-entry-detail">{describeEvent(entry)}</span>
+                                <span className="history-date">
+                                    {new Date(entry.timestamp).toLocaleString()} · {entry.hash.slice(0, 12)}
+                                </span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AuditLogScreen;
@@ -0,0 +1,157 @@
+// BarcodeScanner.jsx
+// Scans the stock bottle's barcode (UPC / NDC or GS1 DataMatrix) from the camera
+// or a photo to tag the next counts with the drug's NDC, lot and expiry.
+// Decoding runs entirely on the device.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { openCamera, stopCamera, isCameraSupported } from './camera';
+import { decodeBarcode, decodeBarcodeFile } from './barcode';
+import { parseDrugBarcode, describeDrug } from './drugCodes';
+import './BarcodeScanner.css';
+
+const SCAN_INTERVAL_MS = 300;
+
+function BarcodeScanner({ onScanned, onCancel }) {
+    const [ready, setReady] = useState(false);
+    const [cameraError, setCameraError] = useState(isCameraSupported() ? null : 'Camera not available on this device.');
+    const [drug, setDrug] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [decodingPhoto, setDecodingPhoto] = useState(false);
+    const videoRef = useRef(null);
+    const streamRef = useRef(null);
+    const photoInputRef = useRef(null);
+
+    useEffect(() => {
+        if (!isCameraSupported()) return;
+        let cancelled = false;
+
+        openCamera('1080p')
+            .then((stream) => {
+                if (cancelled) {
+                    stopCamera(stream);
+                    return;
+                }
+                streamRef.current = stream;
+                videoRef.current.srcObject = stream;
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.error('Scanner camera error:', err);
+                setCameraError('Camera unavailable - scan from a photo instead.');
+            });
+
+        return () => {
+            cancelled = true;
+            stopCamera(streamRef.current);
+            streamRef.current = null;
+        };
+    }, []);
+
+    // Scan loop: one frame in flight at a time, paused once a code is found
+    useEffect(() => {
+        if (!ready || drug) return;
+
+        let stopped = false;
+        let timer = null;
+
+        const tick = async () => {
+            try {
+                const code = await decodeBarcode(videoRef.current);
+                if (stopped) return;
+                if (code) {
+                    setDrug(parseDrugBarcode(code));
+                    if (navigator.vibrate) navigator.vibrate(80);
+                    return;
+                }
+            } catch (err) {
+                if (stopped) return;
+                console.error('Barcode scan error:', err);
+            }
+            timer = setTimeout(tick, SCAN_INTERVAL_MS);
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }, [ready, drug]);
+
+    const handlePhoto = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            setDecodingPhoto(true);
+            setMessage(null);
+            const code = await decodeBarcodeFile(file);
+            if (code) setDrug(parseDrugBarcode(code));
+            else setMessage('No barcode found in that photo. Try a closer, sharper shot of the label.');
+        } catch (err) {
+            console.error('Barcode photo error:', err);
+            setMessage('Could not read that photo.');
+        } finally {
+            setDecodingPhoto(false);
+        }
+    };
+
+    return (
+        <div className="barcode-scanner">
+            <div className="barcode-viewport">
+                {cameraError ? (
+                    <p className="barcode-camera-error">{cameraError}</p>
+                ) : (
+                    <>
+                        <video
+                            ref={videoRef}
+                            className="barcode-video"
+                            autoPlay
+                            playsInline
+                            muted
+                            onLoadedMetadata={() => setReady(true)}
+                        />
+                        <div className="barcode-guide" />
+                        {!ready && <div className="loading-spinner barcode-spinner" />}
+                        <p className="barcode-hint">Point at the barcode on the stock bottle</p>
+                    </>
+                )}
+            </div>
+
+            {drug && (
+                <div className="barcode-result" aria-live="polite">
+                    <p className="barcode-result-label">{describeDrug(drug)}</p>
+                    {!drug.ndc && (
+                        <p className="barcode-result-warning">No NDC in this code - it may not be the drug barcode.</p>
+                    )}
+                    <div className="barcode-result-actions">
+                        <button className="barcode-rescan" onClick={() => setDrug(null)}>Scan Again</button>
+                        <button className="barcode-use" onClick={() => onScanned(drug)}>Use This Drug</button>
+                    </div>
+                </div>
+            )}
+
+            {message && <p className="barcode-message">{message}</p>}
+
+            <div className="barcode-actions">
+                <button className="barcode-cancel" onClick={onCancel}>Cancel</button>
+                <input
+                    ref={photoInputRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={handlePhoto}
+                    style={{ display: 'none' }}
+                />
+                <button
+                    className="barcode-photo"
+                    onClick={() => photoInputRef.current.click()}
+                    disabled={decodingPhoto}
+                >
+                    {decodingPhoto ? 'Reading…' : '🖼️ Scan from Photo'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default BarcodeScanner;
@@ -0,0 +1,305 @@
+// CameraCapture.jsx
+// In-app camera viewfinder with a tray-framing guide, tap-to-focus,
+// torch toggle (where supported) and a resolution picker.
+// Captured stills go through the same pipeline as uploaded photos.
+// Live mode runs the detector on sampled frames and shows a running count;
+// "Freeze" sends the current frame straight to counting.
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    RESOLUTION_PRESETS,
+    DEFAULT_RESOLUTION,
+    openCamera,
+    stopCamera,
+    supportsTorch,
+    setTorch,
+    focusAt,
+    captureFrame,
+    cameraErrorReason
+} from './camera';
+import {
+    pickLiveDetector,
+    liveSampleInterval,
+    detectVideoFrame,
+    sampleVideoFrame,
+    pushCount,
+    stableCount
+} from './liveCounting';
+import { DEFAULT_CONFIDENCE_THRESHOLD } from './postProcessing';
+import './CameraCapture.css';
+
+const FOCUS_RING_MS = 900;
+
+/**
+ * Draws live detection boxes on the overlay canvas (same pixel size as the video)
+ */
+const drawLiveBoxes = (canvas, video, detections) => {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = '#00FF00';
+    ctx.fillStyle = 'rgba(0, 255, 0, 0.15)';
+    ctx.lineWidth = Math.max(3, canvas.width / 400);
+    detections.forEach((d) => {
+        ctx.fillRect(d.x, d.y, d.width, d.height);
+        ctx.strokeRect(d.x, d.y, d.width, d.height);
+    });
+};
+
+function CameraCapture({ onDevice = false, onCapture, onFreeze, onCancel, onUnavailable }) {
+    const [resolution, setResolution] = useState(DEFAULT_RESOLUTION);
+    const [ready, setReady] = useState(false);
+    const [torchAvailable, setTorchAvailable] = useState(false);
+    const [torchOn, setTorchOn] = useState(false);
+    const [focusPoint, setFocusPoint] = useState(null);
+    const [capturing, setCapturing] = useState(false);
+    const [live, setLive] = useState(false);
+    const [countHistory, setCountHistory] = useState([]);
+    const [liveError, setLiveError] = useState(null);
+    const videoRef = useRef(null);
+    const overlayRef = useRef(null);
+    const streamRef = useRef(null);
+    const detectorRef = useRef(null);
+
+    // (Re)open the camera whenever the resolution changes
+    useEffect(() => {
+        let cancelled = false;
+        setReady(false);
+        setTorchOn(false);
+
+        openCamera(resolution)
+            .then((stream) => {
+                if (cancelled) {
+                    stopCamera(stream);
+                    return;
+                }
+                streamRef.current = stream;
+                videoRef.current.srcObject = stream;
+                setTorchAvailable(supportsTorch(stream.getVideoTracks()[0]));
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.error('Camera error:', err);
+                const reason = cameraErrorReason(err);
+                // The chosen preset is not supported by this camera - fall back to the default
+                if (reason === 'overconstrained' && resolution !== DEFAULT_RESOLUTION) {
+                    setResolution(DEFAULT_RESOLUTION);
+                    return;
+                }
+                onUnavailable(err, reason);
+            });
+
+        return () => {
+            cancelled = true;
+            stopCamera(streamRef.current);
+            streamRef.current = null;
+        };
+    }, [resolution]);
+
+    // Live counting loop: one frame in flight at a time, throttled per detector
+    useEffect(() => {
+        if (!live || !ready) return;
+
+        let stopped = false;
+        let timer = null;
+        if (!detectorRef.current) detectorRef.current = pickLiveDetector(onDevice);
+
+        const tick = async () => {
+            const detector = detectorRef.current;
+            const started = Date.now();
+            try {
+                const detections = await detectVideoFrame(videoRef.current, detector, DEFAULT_CONFIDENCE_THRESHOLD);
+                if (stopped) return;
+                if (detections) {
+                    drawLiveBoxes(overlayRef.current, videoRef.current, detections);
+                    setCountHistory((history) => pushCount(history, detections.length));
+                    setLiveError(null);
+                }
+            } catch (err) {
+                if (stopped) return;
+                console.error('Live detection error:', err);
+                if (detector.id === 'on-device') {
+                    // Model missing or failed to load - fall back to the configured provider
+                    detectorRef.current = pickLiveDetector(false);
+                } else {
+                    setLiveError('Live count paused - retrying...');
+                }
+            }
+            const wait = liveSampleInterval(detectorRef.current) - (Date.now() - started);
+            timer = setTimeout(tick, Math.max(0, wait));
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            setCountHistory([]);
+            const canvas = overlayRef.current;
+            if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        };
+    }, [live, ready]);
+
+    useEffect(() => {
+        if (!focusPoint) return;
+        const timer = setTimeout(() => setFocusPoint(null), FOCUS_RING_MS);
+        return () => clearTimeout(timer);
+    }, [focusPoint]);
+
+    const track = () => streamRef.current?.getVideoTracks()[0];
+
+    const handleTapToFocus = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const point = {
+            x: (event.clientX - rect.left) / rect.width,
+            y: (event.clientY - rect.top) / rect.height
+        };
+        setFocusPoint(point);
+        if (track()) focusAt(track(), point);
+    };
+
+    const toggleTorch = async () => {
+        try {
+            await setTorch(track(), !torchOn);
+            setTorchOn(!torchOn);
+        } catch (err) {
+            console.warn('Torch toggle failed:', err);
+            setTorchAvailable(false);
+        }
+    };
+
+    const handleShutter = async () => {
+        try {
+            setCapturing(true);
+            const file = await captureFrame(videoRef.current);
+            onCapture(file);
+        } catch (err) {
+            console.error('Capture failed:', err);
+            setCapturing(false);
+        }
+    };
+
+    // Holds the current frame and detects on exactly that frame with the live detector,
+    // so the results show what the overlay showed rather than a fresh detection
+    const handleFreeze = async () => {
+        const video = videoRef.current;
+        const detector = detectorRef.current;
+        try {
+            setCapturing(true);
+            setLive(false);
+            video.pause();
+            const file = await captureFrame(video);
+            const frame = await sampleVideoFrame(video, detector);
+            if (!frame) throw new Error('Camera is not ready yet');
+            onFreeze(file, { ...frame, detectorId: detector.id });
+        } catch (err) {
+            console.error('Freeze failed:', err);
+            video.play().catch(() => {});
+            setLive(true);
+            setLiveError('Could not count this frame - try again');
+            setCapturing(false);
+        }
+    };
+
+    const liveCount = stableCount(countHistory);
+
+    return (
+        <div className="camera-capture">
+            <div className="camera-viewport" onClick={handleTapToFocus}>
+                <video
+                    ref={videoRef}
+                    className="camera-video"
+                    autoPlay
+                    playsInline
+                    muted
+                    onLoadedMetadata={() => setReady(true)}
+                />
+                <canvas ref={overlayRef} className="camera-live-overlay" />
+
+                {/* Tray framing guide */}
+                <div className="camera-guide">
+                    <span className="camera-guide-corner top-left" />
+                    <span className="camera-guide-corner top-right" />
+                    <span className="camera-guide-corner bottom-left" />
+                    <span className="camera-guide-corner bottom-right" />
+                </div>
+
+                {focusPoint && (
+                    <div
+                        className="camera-focus-ring"
+                        style={{ left: `${focusPoint.x * 100}%`, top: `${focusPoint.y * 100}%` }}
+                    />
+                )}
+
+                {!ready && <div className="loading-spinner camera-spinner" />}
+
+                {live && (
+                    <div className="camera-live-count" aria-live="polite">
+                        <span className="camera-live-number">{liveCount ?? '…'}</span>
+                        <span className="camera-live-label">{liveError || 'pills (live)'}</span>
+                    </div>
+                )}
+
+                <p className="camera-hint">
+                    {live ? 'Spread the pills • Freeze when the count settles' : 'Fit the tray inside the frame • Tap to focus'}
+                </p>
+            </div>
+
+            <div className="camera-controls">
+                <select
+                    className="camera-resolution"
+                    value={resolution}
+                    onChange={(e) => setResolution(e.target.value)}
+                    aria-label="Camera resolution"
+                >
+                    {RESOLUTION_PRESETS.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.label}</option>
+                    ))}
+                </select>
+
+                <button
+                    className={`camera-live-toggle ${live ? 'on' : ''}`}
+                    onClick={() => setLive(!live)}
+                    aria-pressed={live}
+                    disabled={!ready || capturing}
+                >
+                    {live ? '● Live' : '○ Live'}
+                </button>
+
+                {torchAvailable && (
+                    <button
+                        className={`camera-torch ${torchOn ? 'on' : ''}`}
+                        onClick={toggleTorch}
+                        aria-pressed={torchOn}
+                    >
+                        {torchOn ? '🔦 On' : '🔦 Off'}
+                    </button>
+                )}
+            </div>
+
+            <div className="camera-actions">
+                <button className="camera-cancel" onClick={onCancel}>Cancel</button>
+                {live ? (
+                    <button
+                        className="camera-freeze"
+                        onClick={handleFreeze}
+                        disabled={capturing}
+                    >
+                        Freeze
+                    </button>
+                ) : (
+                    <button
+                        className="camera-shutter"
+                        onClick={handleShutter}
+                        disabled={!ready || capturing}
+                        aria-label="Take photo"
+                    />
+                )}
+                <span className="camera-actions-spacer" />
+            </div>
+        </div>
+    );
+}
+
+export default CameraCapture;
@@ -0,0 +1,171 @@
+// HistoryScreen.jsx
+// Saved counts: filter by date, search drug names, NDCs and notes, delete, or re-open
+// an entry in the interactive results screen. The filtered list can be exported
+// as CSV, JSON or a PDF report.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { listHistory, filterHistory, deleteHistoryEntry, countedAt } from './countHistory';
+import { describeTargetOutcome, TARGET_COLORS } from './targetQuantity';
+import { describeDrug } from './drugCodes';
+import { historyToCsv, historyToJson, historyToPdf, downloadBlob } from './historyExport';
+import './HistoryScreen.css';
+
+function HistoryScreen({ onOpen, onClose }) {
+    const [entries, setEntries] = useState(null);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [query, setQuery] = useState('');
+    const [loadError, setLoadError] = useState(null);
+    const [exporting, setExporting] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    const load = () => {
+        listHistory()
+            .then(setEntries)
+            .catch((err) => {
+                console.error('Failed to load history:', err);
+                setLoadError('Could not load saved counts.');
+                setEntries([]);
+            });
+    };
+
+    useEffect(load, []);
+
+    const visible = useMemo(
+        () => filterHistory(entries || [], { from, to, query }),
+        [entries, from, to, query]
+    );
+
+    // Thumbnail object URLs for the visible entries
+    const thumbnails = useMemo(
+        () => Object.fromEntries(visible.map((entry) => [entry.id, URL.createObjectURL(entry.thumbnail)])),
+        [visible]
+    );
+    useEffect(() => () => Object.values(thumbnails).forEach((url) => URL.revokeObjectURL(url)), [thumbnails]);
+
+    const handleDelete = async (entry) => {
+        if (!window.confirm(`Delete the saved count of ${entry.count} from ${new Date(countedAt(entry)).toLocaleString()}?`)) return;
+        setActionError(null);
+        try {
+            await deleteHistoryEntry(entry.id);
+        } catch (err) {
+            console.error('Failed to delete saved count:', err);
+            setActionError('Could not delete the saved count. Please try again.');
+            return;
+        }
+        load();
+    };
+
+    // Exports exactly what the filters show
+    const handleExport = async (format) => {
+        const range = { from, to };
+        const stamp = new Date().toISOString().slice(0, 10);
+        setExporting(format);
+        setActionError(null);
+        try {
+            if (format === 'csv') downloadBlob(historyToCsv(visible), `pill-counts-${stamp}.csv`);
+            if (format === 'json') downloadBlob(historyToJson(visible, range), `pill-counts-${stamp}.json`);
+            if (format === 'pdf') downloadBlob(await historyToPdf(visible, range), `pill-count-report-${stamp}.pdf`);
+        } catch (err) {
+            console.error(`History ${format} export failed:`, err);
+            setActionError(`Could not create the ${format.toUpperCase()} export.`);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    return (
+        <div className="history-screen">
+            <header className="history-header">
+                <button className="history-back" onClick={onClose}>‹ Back</button>
+                <h2 className="history-title">Saved Counts</h2>
+                <span className="history-spacer" />
+            </header>
+
+            <div className="history-filters">
+                <input
+                    className="history-search"
+                    type="search"
+                    placeholder="Search drug name, NDC or notes"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <div className="history-dates">
+                    <label>
+                        From
+                        <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+                    </label>
+                    <label>
+                        To
+                        <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+                    </label>
+                </div>
+                <div className="history-export">
+                    {['csv', 'json', 'pdf'].map((format) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={!visible.length || exporting !== null}
+                        >
+                            {exporting === format ? 'Exporting…' : `⬇ ${format.toUpperCase()}`}
+                        </button>
+                    ))}
+                </div>
+                {actionError && <p className="history-action-error">{actionError}</p>}
+            </div>
+
+            <div className="history-body">
+                {entries === null ? (
+                    <div className="loading-spinner" />
+                ) : visible.length === 0 ? (
+                    <p className="history-empty">
+                        {loadError || (entries.length === 0 ? 'No saved counts yet.' : 'No counts match these filters.')}
+                    </p>
+                ) : (
+                    <ul className="history-list">
+                        {visible.map((entry) => (
+                            <li key={entry.id} className="history-item">
+                                <button className="history-open" onClick={() => onOpen(entry)}>
+                                    <img className="history-thumb" src={thumbnails[entry.id]} alt="" />
+                                    <span className="history-info">
+                                        <span className="history-count">
+                                            {entry.count} pills{entry.adjusted ? ' (adjusted)' : ''}
+                                        </span>
+                                        {entry.targetOutcome && (
+                                            <span
+                                                className="history-target"
+                                                style={{ color: TARGET_COLORS[entry.targetOutcome.status] }}
+                                            >
+                                                {describeTargetOutcome(entry.targetOutcome)} (target {entry.targetOutcome.target})
+                                            </span>
+                                        )}
+                                        {entry.verification && (
+                                            <span className="history-notes">
+                                                {entry.verification.status === 'verified'
+                                                    ? `✔ Verified by ${entry.verification.verifier}`
+                                                    : `⚠ Disputed by ${entry.verification.verifier}`}
+                                            </span>
+                                        )}
+                                        {entry.drugName && <span className="history-drug">{entry.drugName}</span>}
+                                        {entry.drug && <span className="history-notes">{describeDrug(entry.drug)}</span>}
+                                        {entry.notes && <span className="history-notes">{entry.notes}</span>}
+                                        <span className="history-date">{new Date(countedAt(entry)).toLocaleString()}</span>
+                                    </span>
+                                </button>
+                                <button
+                                    className="history-delete"
+                                    onClick={() => handleDelete(entry)}
+                                    aria-label="Delete saved count"
+                                >
+                                    ✕
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default HistoryScreen;
@@ -0,0 +1,134 @@
+// ImageEditor.jsx
+// Crop & rotate step shown between image validation and detection.
+// Drag on the photo to select the counting area; rotate in 90° steps.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { createRotatedPreview, normalizeRotation } from './imageTransform';
+import './ImageEditor.css';
+
+const MIN_CROP = 0.02; // ignore accidental taps smaller than 2% of the image
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+function ImageEditor({ image, onConfirm, onCancel }) {
+    const [rotation, setRotation] = useState(0);
+    const [previewUrl, setPreviewUrl] = useState(null);
+    const [crop, setCrop] = useState(null);
+    const dragStartRef = useRef(null);
+    const stageRef = useRef(null);
+
+    // Re-render the rotated preview; any crop refers to the old orientation
+    useEffect(() => {
+        let cancelled = false;
+        let url = null;
+        setCrop(null);
+
+        createRotatedPreview(image.bitmap, rotation)
+            .then((previewUrl) => {
+                url = previewUrl;
+                if (cancelled) {
+                    URL.revokeObjectURL(previewUrl);
+                } else {
+                    setPreviewUrl(previewUrl);
+                }
+            })
+            .catch((err) => console.error('Preview failed:', err));
+
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [image, rotation]);
+
+    const toNormalizedPoint = (event) => {
+        const rect = stageRef.current.getBoundingClientRect();
+        return {
+            x: clamp01((event.clientX - rect.left) / rect.width),
+            y: clamp01((event.clientY - rect.top) / rect.height)
+        };
+    };
+
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragStartRef.current = toNormalizedPoint(event);
+        setCrop(null);
+    };
+
+    const handlePointerMove = (event) => {
+        const start = dragStartRef.current;
+        if (!start) return;
+
+        const point = toNormalizedPoint(event);
+        setCrop({
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        });
+    };
+
+    const handlePointerUp = () => {
+        dragStartRef.current = null;
+        setCrop((c) => (c && c.width >= MIN_CROP && c.height >= MIN_CROP ? c : null));
+    };
+
+    const rotate = (delta) => setRotation((r) => normalizeRotation(r + delta));
+
+    return (
+        <div className="image-editor">
+            <header className="image-editor-header">
+                <h2 className="image-editor-title">Crop & Rotate</h2>
+                <p className="image-editor-hint">Drag over the counting area to leave out spouts, labels or spilled pills</p>
+            </header>
+
+            <div className="image-editor-body">
+                {previewUrl ? (
+                    <div
+                        ref={stageRef}
+                        className="image-editor-stage"
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                    >
+                        <img src={previewUrl} alt="Photo to crop" draggable={false} />
+                        {crop && (
+                            <div
+                                className="image-editor-crop"
+                                style={{
+                                    left: `${crop.x * 100}%`,
+                                    top: `${crop.y * 100}%`,
+                                    width: `${crop.width * 100}%`,
+                                    height: `${crop.height * 100}%`
+                                }}
+                            />
+                        )}
+                    </div>
+                ) : (
+                    <div className="loading-spinner" />
+                )}
+            </div>
+
+            <div className="image-editor-tools">
+                <button className="image-editor-tool" onClick={() => rotate(-90)}>↺ Rotate</button>
+                <button className="image-editor-tool" onClick={() => rotate(90)}>↻ Rotate</button>
+                <button className="image-editor-tool" onClick={() => setCrop(null)} disabled={!crop}>
+                    Reset Crop
+                </button>
+            </div>
+
+            <div className="image-editor-actions">
+                <button className="image-editor-cancel" onClick={onCancel}>Cancel</button>
+                <button
+                    className="image-editor-confirm"
+                    onClick={() => onConfirm({ rotation, crop })}
+                    disabled={!previewUrl}
+                >
+                    {crop ? 'Count Selected Area' : 'Count Pills'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ImageEditor;
@@ -0,0 +1,66 @@
+// QueuePanel.jsx
+// Captures waiting in the offline queue: pending ones count automatically when the
+// connection returns and on a backoff timer, or on "Retry now"; finished ones open
+// in the results screen.
+
+import React from 'react';
+import './QueuePanel.css';
+
+const STATUS_LABELS = {
+    pending: 'Waiting to be counted',
+    done: 'Ready',
+    failed: 'Failed'
+};
+
+function QueuePanel({ items, onView, onRetry, onRetryNow, onRemove }) {
+    if (items.length === 0) return null;
+
+    const pendingCount = items.filter(item => item.status === 'pending').length;
+
+    return (
+        <details className="queue-panel" open={items.some(item => item.status !== 'pending')}>
+            <summary className="queue-summary">
+                <span className="queue-summary-title">📥 Saved captures</span>
+                {pendingCount > 0 && <span className="queue-badge">{pendingCount} pending</span>}
+            </summary>
+
+            {pendingCount > 0 && (
+                <div className="queue-actions">
+                    <button className="queue-item-action primary" onClick={onRetryNow}>Retry now</button>
+                </div>
+            )}
+
+            <ul className="queue-items">
+                {items.map((item) => (
+                    <li key={item.id} className={`queue-item ${item.status}`}>
+                        <span className="queue-item-info">
+                            <span className="queue-item-time">
+                                {new Date(item.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </span>
+                            <span className="queue-item-status">
+                                {item.status === 'done'
+                                    ? `${item.result.pillCount} pills`
+                                    : item.status === 'failed' ? `${STATUS_LABELS.failed}: ${item.error}` : STATUS_LABELS.pending}
+                            </span>
+                        </span>
+                        {item.status === 'done' && (
+                            <button className="queue-item-action primary" onClick={() => onView(item)}>View</button>
+                        )}
+                        {item.status === 'failed' && (
+                            <button className="queue-item-action" onClick={() => onRetry(item)}>Retry</button>
+                        )}
+                        <button
+                            className="queue-item-action remove"
+                            onClick={() => onRemove(item)}
+                            aria-label="Delete saved capture"
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
+
+export default QueuePanel;
@@ -2,125 +2,416 @@
 // DEFINITIVE SOLUTION - Uses <img> instead of <canvas> for display
 // This fixes the iPhone display issue by avoiding canvas scaling problems
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { applyThreshold, describeSuppression, DEFAULT_CONFIDENCE_THRESHOLD } from './postProcessing';
+import { loadImage, renderOverlay, canvasToObjectUrl, getClassColors } from './overlayRenderer';
+import {
+  createEditHistory,
+  pushEdit,
+  undoEdit,
+  redoEdit,
+  applyCorrections,
+  hasCorrections,
+  toggleAtPoint
+} from './corrections';
+import { applyExclusionZones } from './exclusionZones';
+import { analyzeSizes, acceptedSizeDelta } from './sizeAnalysis';
+import SizeSuggestions from './SizeSuggestions';
+import VideoCountChart from './VideoCountChart';
+import { groupByClass, filterExcludedClasses } from './classBreakdown';
+import { createPourImage } from './countingSession';
+import { compareToTarget, describeTargetOutcome, suggestRemovals, TARGET_COLORS } from './targetQuantity';
+import { describeDrug } from './drugCodes';
+import { describeExportFooter, buildSidecar } from './exportMetadata';
+import { renderWithFooter } from './overlayRenderer';
+import { downloadBlob } from './historyExport';
+
+const toolbarButtonStyle = (active, disabled) => ({
+  flex: 1,
+  padding: '8px',
+  fontSize: '13px',
+  fontWeight: '600',
+  border: 'none',
+  borderRadius: '8px',
+  background: active ? '#667eea' : '#f5f5f5',
+  color: active ? 'white' : '#333',
+  opacity: disabled ? 0.4 : 1,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  WebkitTapHighlightColor: 'transparent'
+});
 
 const ResultsDisplay = ({ 
   originalImageUrl, 
-  detections, 
-  pillCount, 
+  imageBitmap,
+  predictions, 
+  threshold: initialThreshold = DEFAULT_CONFIDENCE_THRESHOLD,
+  nms,
   originalWidth, 
   originalHeight,
+  videoSummary,
+  session,
+  onAddToSession,
+  restored,
+  savedId,
+  target,
+  drug,
+  verification,
+  capturedAt,
+  detectorId,
+  liveFrame,
+  quality,
+  modelId,
+  onVerify,
   onRetake,
   onSave 
 }) => {
   const [displayImageUrl, setDisplayImageUrl] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
+  const [loadedImage, setLoadedImage] = useState(null);
+  const [threshold, setThreshold] = useState(initialThreshold);
+  const [showGhosts, setShowGhosts] = useState(false);
+  // Tap interaction on the image: 'none' | 'edit' (add/remove pills) | 'exclude' (draw zone)
+  const [tapMode, setTapMode] = useState('none');
+  // Edits start from a saved history entry when one is re-opened
+  const [history, setHistory] = useState(() => createEditHistory(restored?.edits?.corrections));
+  const [zones, setZones] = useState(restored?.edits?.zones || []);
+  const [draftZone, setDraftZone] = useState([]);
+  const [sizeDecisions, setSizeDecisions] = useState(restored?.edits?.sizeDecisions || {});
+  const [excludedClasses, setExcludedClasses] = useState(restored?.edits?.excludedClasses || []);
+  const [drugName, setDrugName] = useState(restored?.drugName || '');
+  const [notes, setNotes] = useState(restored?.notes || '');
+  const [operator, setOperator] = useState(restored?.operator || '');
+  const [includeSidecar, setIncludeSidecar] = useState(false);
+  // 'idle' | 'saving' | 'saved' | 'error'
+  const [saveState, setSaveState] = useState('idle');
+  const displayUrlRef = useRef(null);
+  const imageRef = useRef(null);
+
+  // Re-count locally whenever the threshold moves - no new detector call
+  const { detections, rejected, duplicates } = useMemo(
+    () => applyThreshold(predictions || [], threshold, nms),
+    [predictions, threshold, nms]
+  );
+  // Per-class breakdown; classes the user excludes (debris, tray...) leave the total
+  const classes = useMemo(() => groupByClass(detections), [detections]);
+  const classColors = useMemo(
+    () => (classes.length > 1 ? getClassColors(classes.map((c) => c.className)) : {}),
+    [classes]
+  );
+  const { counted, dropped } = useMemo(
+    () => filterExcludedClasses(detections, excludedClasses),
+    [detections, excludedClasses]
+  );
+
+  // Drop detections whose center lies in an exclusion zone
+  const { included, excluded } = useMemo(
+    () => applyExclusionZones(counted, zones),
+    [counted, zones]
+  );
+
+  // Manual corrections on top of the AI detections
+  const { kept, removed, manual } = useMemo(
+    () => applyCorrections(included, history.present),
+    [included, history.present]
+  );
+  // Clump / fragment suggestions from the size distribution of the counted boxes
+  const sizeAnalysis = useMemo(() => analyzeSizes(kept), [kept]);
+  const sizeDelta = acceptedSizeDelta(sizeAnalysis.flags, sizeDecisions);
+  const flagged = useMemo(() => {
+    const map = {};
+    sizeAnalysis.flags
+      .filter((f) => sizeDecisions[f.id] !== 'rejected')
+      .forEach((f) => { map[f.id] = f.type; });
+    return map;
+  }, [sizeAnalysis, sizeDecisions]);
+  const keptLabels = useMemo(() => {
+    const map = {};
+    kept.forEach((d, index) => { map[d.id] = index + 1; });
+    return map;
+  }, [kept]);
+
+  const keptByClass = useMemo(
+    () => Object.fromEntries(groupByClass(kept).map((c) => [c.className, c.count])),
+    [kept]
+  );
+
+  const toggleClass = (className) => {
+    setExcludedClasses((list) => (list.includes(className)
+      ? list.filter((c) => c !== className)
+      : [...list, className]));
+  };
+
+  const aiCount = included.length;
+  const pillCount = kept.length + manual.length + sizeDelta;
+  const isAdjusted = hasCorrections(history.present) || sizeDelta !== 0;
 
+  // Prescription target: when over, outline the boxes furthest from the pile to take away
+  const targetOutcome = compareToTarget(pillCount, target);
+  const suggested = useMemo(() => {
+    if (targetOutcome?.status !== 'over') return [];
+    const boxes = [...kept, ...manual];
+    const ids = new Set(suggestRemovals(boxes, targetOutcome.difference));
+    return boxes.filter((b) => ids.has(b.id));
+  }, [kept, manual, targetOutcome?.status, targetOutcome?.difference]);
+
+  // Reuse the bitmap decoded by the image pipeline; only decode the URL as a fallback
   useEffect(() => {
-    if (!originalImageUrl || !detections) return;
+    if (imageBitmap) {
+      setLoadedImage(imageBitmap);
+      return;
+    }
+    if (!originalImageUrl) return;
 
+    let cancelled = false;
     setIsProcessing(true);
 
-    // Create canvas offscreen (not displayed)
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-
-    img.onload = () => {
-      // Set canvas to FULL original dimensions
-      canvas.width = originalWidth;
-      canvas.height = originalHeight;
-
-      // Draw original image at full size
-      ctx.drawImage(img, 0, 0, originalWidth, originalHeight);
-
-      // Draw detections
-      detections.forEach((detection, index) => {
-        // Semi-transparent fill
-        ctx.fillStyle = 'rgba(0, 255, 0, 0.15)';
-        ctx.fillRect(detection.x, detection.y, detection.width, detection.height);
-
-        // Bounding box
-        ctx.strokeStyle = '#00FF00';
-        ctx.lineWidth = Math.max(4, originalWidth / 800);
-        ctx.strokeRect(detection.x, detection.y, detection.width, detection.height);
-
-        // Pill number with background
-        const fontSize = Math.max(24, originalWidth / 100);
-        ctx.font = `bold ${fontSize}px Arial`;
-        
-        const text = (index + 1).toString();
-        const metrics = ctx.measureText(text);
-        const padding = fontSize * 0.3;
-        
-        // Background for number
-        ctx.fillStyle = 'rgba(0, 255, 0, 0.9)';
-        ctx.fillRect(
-          detection.x,
-          detection.y,
-          metrics.width + padding * 2,
-          fontSize + padding * 2
-        );
-        
-        // Number text
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillText(text, detection.x + padding, detection.y + fontSize + padding * 0.3);
+    loadImage(originalImageUrl)
+      .then((img) => {
+        if (!cancelled) setLoadedImage(img);
+      })
+      .catch(() => {
+        console.error('Failed to load image');
+        if (!cancelled) setIsProcessing(false);
       });
 
-      // Convert canvas to blob and create URL
-      canvas.toBlob((blob) => {
-        if (blob) {
-          const url = URL.createObjectURL(blob);
-          setDisplayImageUrl(url);
-          setIsProcessing(false);
-        }
-      }, 'image/jpeg', 0.95);
+    return () => {
+      cancelled = true;
     };
+  }, [originalImageUrl, imageBitmap]);
 
-    img.onerror = () => {
-      console.error('Failed to load image');
-      setIsProcessing(false);
-    };
+  // Redraw the overlay at full original size (canvas stays offscreen, shown via <img>)
+  useEffect(() => {
+    if (!loadedImage) return;
 
-    img.src = originalImageUrl;
+    let cancelled = false;
+    const canvas = document.createElement('canvas');
+
+    renderOverlay(canvas, loadedImage, {
+      width: originalWidth,
+      height: originalHeight,
+      detections: kept,
+      removed,
+      manual,
+      zones,
+      draftZone,
+      excluded: [...excluded, ...dropped],
+      flagged,
+      classColors,
+      suggested,
+      ghosts: showGhosts ? rejected : []
+    });
+
+    canvasToObjectUrl(canvas)
+      .then((url) => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        if (displayUrlRef.current) URL.revokeObjectURL(displayUrlRef.current);
+        displayUrlRef.current = url;
+        setDisplayImageUrl(url);
+        setIsProcessing(false);
+      })
+      .catch((error) => {
+        console.error(error);
+        if (!cancelled) setIsProcessing(false);
+      });
 
-    // Cleanup
     return () => {
-      if (displayImageUrl) {
-        URL.revokeObjectURL(displayImageUrl);
-      }
+      cancelled = true;
     };
-  }, [originalImageUrl, detections, originalWidth, originalHeight]);
+  }, [loadedImage, kept, removed, manual, zones, draftZone, excluded, dropped, flagged, classColors, suggested, rejected, showGhosts, originalWidth, originalHeight]);
+
+  // Cleanup
+  useEffect(() => () => {
+    if (displayUrlRef.current) URL.revokeObjectURL(displayUrlRef.current);
+  }, []);
+
+  // Map a tap on the displayed <img> back to original image pixels
+  const handleImageTap = (event) => {
+    if (tapMode === 'none' || !imageRef.current) return;
+
+    const rect = imageRef.current.getBoundingClientRect();
+    const point = {
+      x: (event.clientX - rect.left) * (originalWidth / rect.width),
+      y: (event.clientY - rect.top) * (originalHeight / rect.height)
+    };
+
+    if (tapMode === 'exclude') {
+      setDraftZone((points) => [...points, point]);
+      return;
+    }
+
+    setHistory((h) => pushEdit(h, toggleAtPoint(h.present, included, point, originalWidth)));
+  };
+
+  const toggleTapMode = (mode) => {
+    setTapMode((current) => (current === mode ? 'none' : mode));
+    setDraftZone([]);
+  };
+
+  const handleFinishZone = () => {
+    if (draftZone.length < 3) return;
+    setZones((z) => [...z, draftZone]);
+    setDraftZone([]);
+  };
+
+  const exportBaseName = drug?.ndc ? `pill-count-${drug.ndc}-${pillCount}` : `pill-count-${pillCount}`;
+
+  // Overlay plus burned-in metadata footer, and optionally the JSON sidecar describing it
+  const createExportFiles = async () => {
+    const footer = describeExportFooter({
+      count: pillCount,
+      aiCount,
+      manualEdits: isAdjusted,
+      capturedAt,
+      modelId,
+      threshold,
+      drug
+    });
+    const imageBlob = await renderWithFooter(displayImageUrl, footer);
+    const imageFile = new File([imageBlob], `${exportBaseName}.jpg`, { type: 'image/jpeg' });
+    if (!includeSidecar) return [imageFile];
+
+    const sidecar = await buildSidecar({
+      imageBlob,
+      imageName: imageFile.name,
+      count: pillCount,
+      aiCount,
+      manualEdits: isAdjusted,
+      capturedAt,
+      detectorId,
+      modelId,
+      threshold,
+      nms,
+      originalWidth,
+      originalHeight,
+      counted: kept,
+      manual,
+      uncounted: [
+        { reason: 'removed-by-user', boxes: removed },
+        { reason: 'exclusion-zone', boxes: excluded },
+        { reason: 'excluded-class', boxes: dropped },
+        { reason: 'below-threshold', boxes: rejected }
+      ],
+      flagged,
+      sizeDecisions,
+      edits: { corrections: history.present, zones, excludedClasses },
+      drug,
+      targetOutcome
+    });
+    const sidecarFile = new File([JSON.stringify(sidecar, null, 2)], `${exportBaseName}.json`, { type: 'application/json' });
+    return [imageFile, sidecarFile];
+  };
+
+  const handleDownload = async (files) => {
+    if (!displayImageUrl) return;
+
+    try {
+      (files || await createExportFiles()).forEach((file) => downloadBlob(file, file.name));
+    } catch (error) {
+      console.error('Download failed:', error);
+    }
+  };
+
+  // Save the count with everything needed to re-open it interactively
+  const handleSaveToHistory = async () => {
+    if (!displayImageUrl || !onSave) return;
+
+    setSaveState('saving');
+    try {
+      await onSave({
+        count: pillCount,
+        aiCount,
+        adjusted: isAdjusted,
+        classCounts: keptByClass,
+        threshold,
+        predictions,
+        nms,
+        originalWidth,
+        originalHeight,
+        target: target || null,
+        targetOutcome,
+        drug: drug || null,
+        drugName: drugName.trim(),
+        notes: notes.trim(),
+        operator: operator.trim(),
+        edits: {
+          corrections: history.present,
+          zones,
+          excludedClasses,
+          sizeDecisions
+        },
+        annotatedUrl: displayImageUrl
+      });
+      setSaveState('saved');
+    } catch (error) {
+      console.error('Save failed:', error);
+      setSaveState('error');
+    }
+  };
+
+  // Hand the current count to the two-person verification flow
+  const handleVerify = () => {
+    if (!displayImageUrl) return;
+    onVerify({
+      count: pillCount,
+      aiCount,
+      adjusted: isAdjusted,
+      target: target || null,
+      drug: drug || null,
+      imageUrl: displayImageUrl
+    });
+  };
 
-  const handleDownload = () => {
+  // Keep this count (with corrections) as a pour in the multi-photo session
+  const handleAddToSession = async () => {
     if (!displayImageUrl) return;
-    
-    const link = document.createElement('a');
-    link.href = displayImageUrl;
-    link.download = `pill-count-${pillCount}.jpg`;
-    link.click();
+
+    try {
+      const { image, imageUrl } = await createPourImage(displayImageUrl);
+      onAddToSession({
+        count: pillCount,
+        aiCount,
+        adjusted: isAdjusted,
+        image,
+        imageUrl,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Add to session failed:', error);
+    }
   };
 
   const handleShare = async () => {
     if (!displayImageUrl) return;
 
+    let files = null;
     try {
-      const response = await fetch(displayImageUrl);
-      const blob = await response.blob();
-      const file = new File([blob], `pill-count-${pillCount}.jpg`, { type: 'image/jpeg' });
+      files = await createExportFiles();
+      // Some share targets reject JSON; share the image alone and download the sidecar
+      let shareFiles = files;
+      if (navigator.share && files.length > 1 && !navigator.canShare?.({ files })) {
+        shareFiles = files.slice(0, 1);
+        downloadBlob(files[1], files[1].name);
+      }
 
-      if (navigator.share && navigator.canShare({ files: [file] })) {
+      if (navigator.share && navigator.canShare?.({ files: shareFiles })) {
         await navigator.share({
-          files: [file],
+          files: shareFiles,
           title: 'Pill Count Results',
-          text: `Counted ${pillCount} pills`
+          text: (isAdjusted
+            ? `Counted ${pillCount} pills (AI count ${aiCount}, adjusted to ${pillCount})`
+            : `Counted ${pillCount} pills`) +
+            (targetOutcome ? ` - target ${targetOutcome.target}: ${describeTargetOutcome(targetOutcome)}` : '') +
+            (drug ? ` - ${describeDrug(drug)}` : '')
         });
       } else {
-        handleDownload();
+        handleDownload(files);
       }
     } catch (error) {
       console.error('Share failed:', error);
-      handleDownload();
+      handleDownload(files);
     }
   };
 
@@ -152,10 +443,73 @@ const ResultsDisplay = ({
           marginBottom: '10px'
         }}>
           <span style={{ fontSize: '48px', fontWeight: 'bold' }}>{pillCount}</span>
-          <span style={{ fontSize: '16px', textTransform: 'uppercase', letterSpacing: '1px' }}>
-            PILLS DETECTED
+          <span style={{ display: 'flex', flexDirection: 'column' }}>
+            <span style={{ fontSize: '16px', textTransform: 'uppercase', letterSpacing: '1px' }}>
+              {isAdjusted ? 'PILLS (ADJUSTED)' : 'PILLS DETECTED'}
+            </span>
+            {isAdjusted && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>
+                AI count {aiCount}, adjusted to {pillCount}
+              </span>
+            )}
+            {drug && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>{describeDrug(drug)}</span>
+            )}
+            {quality?.overridden && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>
+                ⚠ Counted despite photo issues: {quality.issues.map((issue) => issue.code).join(', ')}
+              </span>
+            )}
+            {liveFrame && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>
+                Frozen live frame ({liveFrame.detectorId} detector)
+              </span>
+            )}
+            {verification && (
+              <span style={{ fontSize: '13px', fontWeight: '700' }}>
+                {verification.count !== pillCount
+                  ? '⚠ Count changed since verification'
+                  : verification.status === 'verified'
+                    ? `✔ Verified by ${verification.verifier} (counted by ${verification.counter})`
+                    : `⚠ Disputed by ${verification.verifier}: counted ${verification.verifierCount}`}
+              </span>
+            )}
+            {session && session.pourCount > 0 && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>
+                {session.recountIndex != null
+                  ? `Recounting pour ${session.recountIndex + 1} of ${session.pourCount}`
+                  : `Session: ${session.total} in ${session.pourCount} pour${session.pourCount === 1 ? '' : 's'}, ${session.total + pillCount} with this one`}
+              </span>
+            )}
           </span>
         </div>
+
+        {targetOutcome && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '10px',
+            padding: '10px 15px',
+            marginBottom: '10px',
+            background: TARGET_COLORS[targetOutcome.status],
+            borderRadius: '12px',
+            color: 'white'
+          }}>
+            <span style={{ fontSize: '20px', fontWeight: '800', letterSpacing: '1px' }}>
+              {describeTargetOutcome(targetOutcome)}
+            </span>
+            <span style={{ fontSize: '13px', textAlign: 'right' }}>
+              Target {targetOutcome.target}
+              {targetOutcome.status === 'over' && (
+                <><br />Remove the {targetOutcome.difference} outlined in red</>
+              )}
+              {targetOutcome.status === 'under' && (
+                <><br />Add {targetOutcome.difference} more</>
+              )}
+            </span>
+          </div>
+        )}
         
         <div style={{ display: 'flex', justifyContent: 'space-around', gap: '10px' }}>
           <div style={{
@@ -186,7 +540,214 @@ const ResultsDisplay = ({
               {detections.length}
             </div>
           </div>
+          {duplicates && (
+            <div
+              title={`IoU ≥ ${Math.round(duplicates.iouThreshold * 100)}% or ≥ ${Math.round(duplicates.containmentThreshold * 100)}% inside a larger box`}
+              style={{
+                flex: 1,
+                padding: '8px',
+                background: '#f5f5f5',
+                borderRadius: '8px',
+                textAlign: 'center'
+              }}
+            >
+              <div style={{ fontSize: '11px', color: '#666', marginBottom: '4px', textTransform: 'uppercase' }}>
+                MERGED:
+              </div>
+              <div style={{ fontSize: '14px', fontWeight: '600' }}>
+                {duplicates.merged}
+              </div>
+              {duplicates.merged > 0 && (
+                <div style={{ fontSize: '11px', color: '#666', marginTop: '2px' }}>
+                  {describeSuppression(duplicates)}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Per-class legend: tap a class to exclude it from the total */}
+        {classes.length > 1 && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '10px' }}>
+            {classes.map(({ className, count }) => {
+              const isExcluded = excludedClasses.includes(className);
+              return (
+                <button
+                  key={className}
+                  onClick={() => toggleClass(className)}
+                  title={isExcluded ? 'Excluded from total - tap to include' : 'Tap to exclude from total'}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '4px 10px',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    border: '1px solid #ddd',
+                    borderRadius: '14px',
+                    background: isExcluded ? '#eee' : 'white',
+                    color: isExcluded ? '#999' : '#333',
+                    textDecoration: isExcluded ? 'line-through' : 'none',
+                    cursor: 'pointer',
+                    WebkitTapHighlightColor: 'transparent'
+                  }}
+                >
+                  <span style={{
+                    width: '10px',
+                    height: '10px',
+                    borderRadius: '50%',
+                    background: isExcluded ? '#bbb' : classColors[className]
+                  }} />
+                  {className}: {isExcluded ? count : (keptByClass[className] || 0)}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Live confidence threshold */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          marginTop: '10px',
+          fontSize: '13px',
+          color: '#555'
+        }}>
+          <label htmlFor="threshold-slider" style={{ whiteSpace: 'nowrap', fontWeight: '600' }}>
+            Confidence ≥ {Math.round(threshold * 100)}%
+          </label>
+          <input
+            id="threshold-slider"
+            type="range"
+            min="0.05"
+            max="0.95"
+            step="0.05"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            style={{ flex: 1, accentColor: '#667eea' }}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', whiteSpace: 'nowrap' }}>
+            <input
+              type="checkbox"
+              checked={showGhosts}
+              onChange={(e) => setShowGhosts(e.target.checked)}
+            />
+            Rejected ({rejected.length})
+          </label>
         </div>
+
+        {/* Manual correction toolbar */}
+        <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+          <button
+            onClick={() => toggleTapMode('edit')}
+            style={toolbarButtonStyle(tapMode === 'edit', false)}
+          >
+            ✏️ {tapMode === 'edit' ? 'Done' : 'Edit'}
+          </button>
+          <button
+            onClick={() => toggleTapMode('exclude')}
+            style={toolbarButtonStyle(tapMode === 'exclude', false)}
+          >
+            🚫 {tapMode === 'exclude' ? 'Done' : 'Exclude'}
+          </button>
+          <button
+            onClick={() => setHistory(undoEdit)}
+            disabled={history.past.length === 0}
+            style={toolbarButtonStyle(false, history.past.length === 0)}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => setHistory(redoEdit)}
+            disabled={history.future.length === 0}
+            style={toolbarButtonStyle(false, history.future.length === 0)}
+          >
+            ↷ Redo
+          </button>
+        </div>
+        {tapMode === 'edit' && (
+          <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: '#666', textAlign: 'center' }}>
+            Tap a box to remove it (tap again to restore). Tap an empty spot to add a pill.
+          </p>
+        )}
+        {tapMode === 'exclude' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+            <p style={{ flex: 2, margin: 0, fontSize: '12px', color: '#666' }}>
+              Tap corners around the area to ignore, then close the zone.
+            </p>
+            <button
+              onClick={handleFinishZone}
+              disabled={draftZone.length < 3}
+              style={toolbarButtonStyle(false, draftZone.length < 3)}
+            >
+              Close Zone
+            </button>
+            <button
+              onClick={() => {
+                setZones([]);
+                setDraftZone([]);
+              }}
+              disabled={zones.length === 0 && draftZone.length === 0}
+              style={toolbarButtonStyle(false, zones.length === 0 && draftZone.length === 0)}
+            >
+              Clear
+            </button>
+          </div>
+        )}
+        <VideoCountChart summary={videoSummary} />
+        <SizeSuggestions
+          flags={sizeAnalysis.flags}
+          labels={keptLabels}
+          baseCount={kept.length + manual.length}
+          decisions={sizeDecisions}
+          onDecide={(id, decision) => setSizeDecisions((d) => ({ ...d, [id]: decision }))}
+          onAcceptAll={() => setSizeDecisions(
+            Object.fromEntries(sizeAnalysis.flags.map((f) => [f.id, 'accepted']))
+          )}
+        />
+        {excluded.length > 0 && (
+          <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: '#666', textAlign: 'center' }}>
+            {excluded.length} detection{excluded.length === 1 ? '' : 's'} ignored in {zones.length} excluded zone{zones.length === 1 ? '' : 's'}
+          </p>
+        )}
+        <details open={Boolean(drugName || notes || operator)} style={{ marginTop: '10px', fontSize: '13px' }}>
+          <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#667eea', listStyle: 'none' }}>
+            📝 Drug name, operator & notes{savedId ? ' · saved' : ''}
+          </summary>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+            <input
+              type="text"
+              placeholder="Drug name / strength"
+              value={drugName}
+              onChange={(e) => {
+                setDrugName(e.target.value);
+                setSaveState('idle');
+              }}
+              style={{ padding: '8px', fontSize: '15px', border: '1px solid #ddd', borderRadius: '8px' }}
+            />
+            <input
+              type="text"
+              placeholder="Operator (your name or initials)"
+              value={operator}
+              onChange={(e) => {
+                setOperator(e.target.value);
+                setSaveState('idle');
+              }}
+              style={{ padding: '8px', fontSize: '15px', border: '1px solid #ddd', borderRadius: '8px' }}
+            />
+            <textarea
+              placeholder="Notes (Rx number, patient initials...)"
+              value={notes}
+              rows={2}
+              onChange={(e) => {
+                setNotes(e.target.value);
+                setSaveState('idle');
+              }}
+              style={{ padding: '8px', fontSize: '15px', border: '1px solid #ddd', borderRadius: '8px', resize: 'vertical' }}
+            />
+          </div>
+        </details>
       </div>
 
       {/* Image Container - THE FIX: Using <img> instead of <canvas> */}
@@ -225,9 +786,12 @@ const ResultsDisplay = ({
           </div>
         ) : displayImageUrl ? (
           <img
+            ref={imageRef}
             src={displayImageUrl}
             alt="Pill detection results"
+            onClick={handleImageTap}
             style={{
+              cursor: tapMode !== 'none' ? 'crosshair' : 'default',
               width: '100%',
               maxWidth: '100%',
               height: 'auto',
@@ -258,8 +822,55 @@ const ResultsDisplay = ({
         background: 'rgba(255, 255, 255, 0.95)',
         boxShadow: '0 -2px 10px rgba(0, 0, 0, 0.1)',
         display: 'flex',
+        flexWrap: 'wrap',
         gap: '10px'
       }}>
+        {onAddToSession && (
+          <button
+            onClick={handleAddToSession}
+            disabled={!displayImageUrl}
+            style={{
+              flexBasis: '100%',
+              padding: '12px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: '#f5f5f5',
+              color: '#667eea',
+              border: '2px solid #667eea',
+              borderRadius: '12px',
+              cursor: displayImageUrl ? 'pointer' : 'not-allowed',
+              opacity: displayImageUrl ? 1 : 0.5,
+              WebkitTapHighlightColor: 'transparent'
+            }}
+          >
+            {session?.recountIndex != null
+              ? `🔁 Replace Pour ${session.recountIndex + 1}`
+              : `➕ Add to Session${session?.pourCount ? ` (pour ${session.pourCount + 1})` : ''}`}
+          </button>
+        )}
+        {onVerify && (
+          <button
+            onClick={handleVerify}
+            disabled={!displayImageUrl}
+            style={{
+              flexBasis: '100%',
+              padding: '12px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: '#f5f5f5',
+              color: '#333',
+              border: '2px solid #333',
+              borderRadius: '12px',
+              cursor: displayImageUrl ? 'pointer' : 'not-allowed',
+              opacity: displayImageUrl ? 1 : 0.5,
+              WebkitTapHighlightColor: 'transparent'
+            }}
+          >
+            {verification?.count === pillCount && verification.status === 'verified'
+              ? '🔏 Verify Again'
+              : '🔏 Two-Person Verify'}
+          </button>
+        )}
         <button
           onClick={onRetake}
           style={{
@@ -284,6 +895,38 @@ const ResultsDisplay = ({
           <span>Take Another Photo</span>
         </button>
 
+        {onSave && (
+          <button
+            onClick={handleSaveToHistory}
+            disabled={!displayImageUrl || saveState === 'saving'}
+            style={{
+              flex: 1,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '8px',
+              padding: '16px',
+              fontSize: '16px',
+              fontWeight: '600',
+              background: saveState === 'saved' ? '#4CAF50' : saveState === 'error' ? '#f44336' : '#f5f5f5',
+              color: saveState === 'saved' || saveState === 'error' ? 'white' : '#333',
+              border: 'none',
+              borderRadius: '12px',
+              cursor: 'pointer',
+              boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+              WebkitTapHighlightColor: 'transparent'
+            }}
+          >
+            <span style={{ fontSize: '20px' }}>{saveState === 'saved' ? '✓' : '🗂️'}</span>
+            <span>
+              {saveState === 'saving' ? 'Saving...'
+                : saveState === 'saved' ? 'Saved'
+                  : saveState === 'error' ? 'Retry Save'
+                    : savedId ? 'Update' : 'Save'}
+            </span>
+          </button>
+        )}
+
         <button
           onClick={handleShare}
           style={{
@@ -304,9 +947,24 @@ const ResultsDisplay = ({
             WebkitTapHighlightColor: 'transparent'
           }}
         >
-          <span style={{ fontSize: '20px' }}>💾</span>
-          <span>Save/Share</span>
+          <span style={{ fontSize: '20px' }}>📤</span>
+          <span>Share</span>
         </button>
+        <label style={{
+          flexBasis: '100%',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          fontSize: '13px',
+          color: '#555'
+        }}>
+          <input
+            type="checkbox"
+            checked={includeSidecar}
+            onChange={(e) => setIncludeSidecar(e.target.checked)}
+          />
+          Include JSON data file (every box with its confidence)
+        </label>
       </div>
 
       {/* Tips */}
@@ -0,0 +1,93 @@
+// SessionPanel.jsx
+// Running total of a multi-pour counting session on the capture screen:
+// one row per pour with its thumbnail, plus remove / recount and a combined share.
+
+import React, { useState } from 'react';
+import { sessionTotal } from './countingSession';
+import { renderSessionSummary } from './sessionSummary';
+import { downloadBlob } from './historyExport';
+import './SessionPanel.css';
+
+function SessionPanel({ session, recountingId, onRemove, onRecount, onEnd }) {
+    const [isSharing, setIsSharing] = useState(false);
+    const total = sessionTotal(session);
+
+    const handleShare = async () => {
+        setIsSharing(true);
+        try {
+            const blob = await renderSessionSummary(session);
+            const file = new File([blob], `pill-count-session-${total}.jpg`, { type: 'image/jpeg' });
+
+            if (navigator.share && navigator.canShare?.({ files: [file] })) {
+                await navigator.share({
+                    files: [file],
+                    title: 'Pill Count Session',
+                    text: `Counted ${total} pills in ${session.pours.length} pours (${session.pours.map(p => p.count).join(' + ')})`
+                });
+            } else {
+                downloadBlob(file, file.name);
+            }
+        } catch (error) {
+            console.error('Session share failed:', error);
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    return (
+        <div className="session-panel">
+            <div className="session-total">
+                <span className="session-total-number">{total}</span>
+                <span className="session-total-label">
+                    pills in {session.pours.length} pour{session.pours.length === 1 ? '' : 's'}
+                </span>
+            </div>
+
+            <ul className="session-pours">
+                {session.pours.map((pour, index) => (
+                    <li
+                        key={pour.id}
+                        className={`session-pour ${recountingId === pour.id ? 'recounting' : ''}`}
+                    >
+                        <img className="session-pour-thumb" src={pour.imageUrl} alt={`Pour ${index + 1}`} />
+                        <span className="session-pour-info">
+                            <span className="session-pour-count">Pour {index + 1}: {pour.count}</span>
+                            {pour.adjusted && (
+                                <span className="session-pour-note">AI {pour.aiCount}, adjusted</span>
+                            )}
+                            {recountingId === pour.id && (
+                                <span className="session-pour-note">Recounting - take a new photo</span>
+                            )}
+                        </span>
+                        <button
+                            className="session-pour-action"
+                            onClick={() => onRecount(recountingId === pour.id ? null : pour.id)}
+                        >
+                            {recountingId === pour.id ? 'Cancel' : 'Recount'}
+                        </button>
+                        <button
+                            className="session-pour-action remove"
+                            onClick={() => onRemove(pour.id)}
+                            aria-label={`Remove pour ${index + 1}`}
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="session-actions">
+                <button className="session-end" onClick={onEnd}>End Session</button>
+                <button
+                    className="session-share"
+                    onClick={handleShare}
+                    disabled={isSharing || session.pours.length === 0}
+                >
+                    {isSharing ? 'Preparing...' : 'Share Summary'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default SessionPanel;
@@ -0,0 +1,72 @@
+// SizeSuggestions.jsx
+// Accept/reject panel for size-based count suggestions (clumps and fragments)
+
+import React from 'react';
+import { describeFlag, suggestedCount } from './sizeAnalysis';
+import { FLAG_STROKE_COLORS } from './overlayRenderer';
+
+const decisionButtonStyle = (active, color) => ({
+  padding: '4px 10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  border: `1px solid ${color}`,
+  borderRadius: '6px',
+  background: active ? color : 'white',
+  color: active ? 'white' : color,
+  cursor: 'pointer',
+  WebkitTapHighlightColor: 'transparent'
+});
+
+const SizeSuggestions = ({ flags, labels, baseCount, decisions, onDecide, onAcceptAll }) => {
+  if (flags.length === 0) return null;
+
+  return (
+    <details style={{
+      marginTop: '10px',
+      padding: '8px 10px',
+      background: '#fff8e1',
+      borderRadius: '8px',
+      fontSize: '13px'
+    }}>
+      <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#8a6d00', listStyle: 'none' }}>
+        📏 {flags.length} size outlier{flags.length === 1 ? '' : 's'} · suggested count {suggestedCount(baseCount, flags)}
+      </summary>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+        {flags.map((flag) => (
+          <div key={flag.id} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <span style={{
+              width: '10px',
+              height: '10px',
+              borderRadius: '2px',
+              background: FLAG_STROKE_COLORS[flag.type],
+              flexShrink: 0
+            }} />
+            <span style={{ flex: 1 }}>
+              #{labels[flag.id]} {describeFlag(flag)} ({flag.ratio.toFixed(1)}× median)
+            </span>
+            <button
+              onClick={() => onDecide(flag.id, 'accepted')}
+              style={decisionButtonStyle(decisions[flag.id] === 'accepted', '#4CAF50')}
+            >
+              {flag.type === 'clump' ? `Count ${flag.estimate}` : 'Ignore'}
+            </button>
+            <button
+              onClick={() => onDecide(flag.id, 'rejected')}
+              style={decisionButtonStyle(decisions[flag.id] === 'rejected', '#757575')}
+            >
+              Keep 1
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={onAcceptAll}
+          style={{ ...decisionButtonStyle(false, '#667eea'), alignSelf: 'flex-end', marginTop: '4px' }}
+        >
+          Accept all
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default SizeSuggestions;
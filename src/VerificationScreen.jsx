@@ -0,0 +1,227 @@
+// VerificationScreen.jsx
+// Two-person verification of a count: the counter signs off first, then a second
+// person agrees or records a disagreement with their own count and a reason.
+// Every step is appended to the hash-chained audit log.
+
+import React, { useState } from 'react';
+import { appendAuditEvent, createSignature } from './auditLog';
+import { describeDrug } from './drugCodes';
+import './VerificationScreen.css';
+
+const DISAGREEMENT_REASONS = [
+    'Different total on hand recount',
+    'Broken or partial tablets',
+    'Pills hidden or overlapping',
+    'Wrong drug or strength',
+    'Other'
+];
+
+const INITIALS_PATTERN = /^[A-Za-z]{2,4}$/;
+
+/**
+ * Initials field shared by both steps
+ */
+function SignatureFields({ initials, onInitials }) {
+    return (
+        <div className="verify-signature">
+            <label className="verify-field">
+                <span>Initials</span>
+                <input
+                    type="text"
+                    autoComplete="off"
+                    autoCapitalize="characters"
+                    maxLength={4}
+                    value={initials}
+                    onChange={(e) => onInitials(e.target.value)}
+                />
+            </label>
+        </div>
+    );
+}
+
+function VerificationScreen({ summary, onComplete, onCancel }) {
+    const [step, setStep] = useState('counter');
+    const [initials, setInitials] = useState('');
+    const [counter, setCounter] = useState(null);
+    const [agrees, setAgrees] = useState(true);
+    const [verifierCount, setVerifierCount] = useState('');
+    const [reason, setReason] = useState(DISAGREEMENT_REASONS[0]);
+    const [details, setDetails] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const subject = {
+        countId: summary.countId,
+        count: summary.count,
+        aiCount: summary.aiCount,
+        adjusted: summary.adjusted,
+        target: summary.target || null,
+        drug: summary.drug || null
+    };
+
+    const handleCounterSubmit = async () => {
+        if (!INITIALS_PATTERN.test(initials.trim())) {
+            setError('Enter your initials (2-4 letters).');
+            return;
+        }
+
+        setBusy(true);
+        setError(null);
+        try {
+            const signature = createSignature(initials);
+            await appendAuditEvent('count-submitted', { ...subject, counter: signature });
+            setCounter(signature);
+            setInitials('');
+            setStep('verifier');
+        } catch (err) {
+            console.error('Audit log write failed:', err);
+            setError('Could not write to the audit log. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleVerifierSubmit = async () => {
+        if (!INITIALS_PATTERN.test(initials.trim())) {
+            setError('Enter your initials (2-4 letters).');
+            return;
+        }
+        if (initials.trim().toUpperCase() === counter.initials) {
+            setError('A second person must verify - initials match the counter.');
+            return;
+        }
+        if (!agrees && (verifierCount === '' || Number(verifierCount) < 0)) {
+            setError('Enter the count you got.');
+            return;
+        }
+        if (!agrees && reason === 'Other' && !details.trim()) {
+            setError('Describe the reason for the disagreement.');
+            return;
+        }
+
+        setBusy(true);
+        setError(null);
+        try {
+            const verifier = createSignature(initials);
+            const data = agrees
+                ? { ...subject, counter, verifier }
+                : {
+                    ...subject,
+                    counter,
+                    verifier,
+                    verifierCount: Number(verifierCount),
+                    reason,
+                    details: details.trim()
+                };
+            const entry = await appendAuditEvent(agrees ? 'count-verified' : 'count-disputed', data);
+
+            onComplete({
+                status: agrees ? 'verified' : 'disputed',
+                countId: subject.countId,
+                count: subject.count,
+                counter: counter.initials,
+                verifier: verifier.initials,
+                verifierCount: data.verifierCount,
+                reason: data.reason,
+                seq: entry.seq,
+                at: entry.timestamp
+            });
+        } catch (err) {
+            console.error('Audit log write failed:', err);
+            setError('Could not write to the audit log. Please try again.');
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="verify-overlay">
+            <div className="verify-card">
+                <h2 className="verify-title">
+                    {step === 'counter' ? 'Step 1 of 2: Counter' : 'Step 2 of 2: Verifier'}
+                </h2>
+
+                <div className="verify-summary">
+                    {summary.imageUrl && <img className="verify-image" src={summary.imageUrl} alt="Counted pills" />}
+                    <div className="verify-summary-text">
+                        <span className="verify-count">{summary.count} pills</span>
+                        {summary.drug && <span className="verify-drug">{describeDrug(summary.drug)}</span>}
+                        {summary.target && <span className="verify-drug">Target {summary.target}</span>}
+                        {counter && <span className="verify-drug">Counted by {counter.initials}</span>}
+                    </div>
+                </div>
+
+                {step === 'counter' ? (
+                    <p className="verify-instructions">Sign to submit this count for verification.</p>
+                ) : (
+                    <>
+                        <p className="verify-instructions">
+                            Hand the device to a second person. Recount the pills and record whether you agree.
+                        </p>
+                        <div className="verify-decision" role="radiogroup">
+                            <button
+                                className={`verify-choice ${agrees ? 'selected agree' : ''}`}
+                                onClick={() => setAgrees(true)}
+                                role="radio"
+                                aria-checked={agrees}
+                            >
+                                ✓ Agree
+                            </button>
+                            <button
+                                className={`verify-choice ${!agrees ? 'selected disagree' : ''}`}
+                                onClick={() => setAgrees(false)}
+                                role="radio"
+                                aria-checked={!agrees}
+                            >
+                                ✕ Disagree
+                            </button>
+                        </div>
+
+                        {!agrees && (
+                            <div className="verify-dispute">
+                                <label className="verify-field">
+                                    <span>Your count</span>
+                                    <input
+                                        type="number"
+                                        inputMode="numeric"
+                                        min="0"
+                                        value={verifierCount}
+                                        onChange={(e) => setVerifierCount(e.target.value)}
+                                    />
+                                </label>
+                                <label className="verify-field">
+                                    <span>Reason</span>
+                                    <select value={reason} onChange={(e) => setReason(e.target.value)}>
+                                        {DISAGREEMENT_REASONS.map((option) => (
+                                            <option key={option} value={option}>{option}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="verify-field">
+                                    <span>Details</span>
+                                    <textarea rows={2} value={details} onChange={(e) => setDetails(e.target.value)} />
+                                </label>
+                            </div>
+                        )}
+                    </>
+                )}
+
+                <SignatureFields initials={initials} onInitials={setInitials} />
+
+                {error && <p className="verify-error">{error}</p>}
+
+                <div className="verify-actions">
+                    <button className="verify-cancel" onClick={onCancel} disabled={busy}>Cancel</button>
+                    <button
+                        className="verify-submit"
+                        onClick={step === 'counter' ? handleCounterSubmit : handleVerifierSubmit}
+                        disabled={busy}
+                    >
+                        {busy ? 'Signing...' : step === 'counter' ? 'Sign & Submit' : agrees ? 'Sign as Verified' : 'Record Disagreement'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default VerificationScreen;
@@ -0,0 +1,81 @@
+// VideoCountChart.jsx
+// Per-frame counts from a video clip, with the consensus line and the frame shown above
+
+import React from 'react';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 70;
+
+const VideoCountChart = ({ summary }) => {
+  if (!summary || summary.frames.length === 0) return null;
+
+  const { frames, consensus, bestFrameIndex } = summary;
+  const maxCount = Math.max(1, consensus.count, ...frames.map((f) => f.count));
+  const barWidth = CHART_WIDTH / frames.length;
+  const yFor = (count) => CHART_HEIGHT - (count / maxCount) * (CHART_HEIGHT - 12);
+  const min = Math.min(...frames.map((f) => f.count));
+  const max = Math.max(...frames.map((f) => f.count));
+
+  return (
+    <details style={{
+      marginTop: '10px',
+      padding: '8px 10px',
+      background: '#f3f4ff',
+      borderRadius: '8px',
+      fontSize: '13px'
+    }}>
+      <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#4a55b5', listStyle: 'none' }}>
+        🎞️ {frames.length} frames · consensus {consensus.count} ({consensus.method === 'mode'
+          ? `${consensus.agreeing} frames agree`
+          : 'median'}) · range {min}–{max}
+      </summary>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        style={{ width: '100%', height: `${CHART_HEIGHT}px`, marginTop: '8px' }}
+        role="img"
+        aria-label={`Per-frame counts: ${frames.map((f) => f.count).join(', ')}`}
+      >
+        {frames.map((frame, index) => (
+          <g key={frame.time}>
+            <rect
+              x={index * barWidth + barWidth * 0.15}
+              y={yFor(frame.count)}
+              width={barWidth * 0.7}
+              height={CHART_HEIGHT - yFor(frame.count)}
+              rx="2"
+              fill={index === bestFrameIndex ? '#667eea' : '#c5cae9'}
+            >
+              <title>{`${frame.time.toFixed(1)}s: ${frame.count}`}</title>
+            </rect>
+            <text
+              x={index * barWidth + barWidth / 2}
+              y={yFor(frame.count) - 2}
+              textAnchor="middle"
+              fontSize="9"
+              fill="#555"
+            >
+              {frame.count}
+            </text>
+          </g>
+        ))}
+        <line
+          x1="0"
+          x2={CHART_WIDTH}
+          y1={yFor(consensus.count)}
+          y2={yFor(consensus.count)}
+          stroke="#4CAF50"
+          strokeWidth="1.5"
+          strokeDasharray="4 3"
+        />
+      </svg>
+      <p style={{ margin: '4px 0 0 0', fontSize: '12px', color: '#666' }}>
+        Showing frame {bestFrameIndex + 1} at {frames[bestFrameIndex].time.toFixed(1)}s
+        ({frames[bestFrameIndex].count === consensus.count
+          ? 'its count matches the consensus'
+          : `closest to the consensus, ${frames[bestFrameIndex].count} pills`})
+      </p>
+    </details>
+  );
+};
+
+export default VideoCountChart;
@@ -0,0 +1,121 @@
+// auditLog.js
+// Append-only, hash-chained log of count verification events in IndexedDB.
+// Each entry stores the SHA-256 of the previous one, and its own hash covers its
+// sequence number, time, type, data and that link. Editing, deleting or reordering
+// any entry breaks every hash after it. Dropping entries from the end leaves a
+// valid shorter chain, so exports record the head hash for comparison.
+
+import { STORES, addRecord, getAllRecords } from './db';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+export const AUDIT_EVENT_LABELS = {
+    'count-submitted': 'Count submitted',
+    'count-verified': 'Count verified',
+    'count-disputed': 'Count disputed'
+};
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hex SHA-256 of a string (UTF-8) or binary data (ArrayBuffer / typed array)
+ */
+export const sha256Hex = async (input) => {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const hashEntry = ({ seq, timestamp, type, data, prevHash }) => {
+    return sha256Hex(canonicalJson({ seq, timestamp, type, data, prevHash }));
+};
+
+/**
+ * Signature for an event: the signer's initials, normalized. No PIN or other secret
+ * is taken, so nothing guessable ends up in the chained entries or the export.
+ */
+export const createSignature = (initials) => ({
+    initials: initials.trim().toUpperCase()
+});
+
+// Appends are serialized so two events never claim the same sequence number
+let appendChain = Promise.resolve();
+
+const writeEvent = async (type, data) => {
+    const entries = await getAllRecords(STORES.audit);
+    const last = entries[entries.length - 1];
+
+    const entry = {
+        seq: last ? last.seq + 1 : 1,
+        timestamp: new Date().toISOString(),
+        type,
+        data,
+        prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = await hashEntry(entry);
+
+    await addRecord(STORES.audit, entry);
+    console.log(`🔏 Audit #${entry.seq}: ${type}`);
+    return entry;
+};
+
+export const appendAuditEvent = (type, data) => {
+    const write = appendChain.then(() => writeEvent(type, data));
+    appendChain = write.catch(() => {});
+    return write;
+};
+
+/**
+ * All entries in sequence order
+ */
+export const listAuditLog = () => getAllRecords(STORES.audit);
+
+/**
+ * Re-computes the chain. Returns { valid, count, brokenAt, reason }, where brokenAt
+ * is the sequence number of the first entry that does not check out.
+ */
+export const verifyAuditChain = async (entries) => {
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        let reason = null;
+        if (entry.seq !== i + 1) reason = 'Missing or out-of-order entry';
+        else if (entry.prevHash !== prevHash) reason = 'Link to previous entry does not match';
+        else if (entry.hash !== await hashEntry(entry)) reason = 'Entry contents were changed';
+
+        if (reason) return { valid: false, count: entries.length, brokenAt: entry.seq, reason };
+        prevHash = entry.hash;
+    }
+    return { valid: true, count: entries.length, brokenAt: null, reason: null };
+};
+
+/**
+ * JSON export for inspections: every entry plus the verification result and head hash
+ */
+export const exportAuditLog = async () => {
+    const entries = await listAuditLog();
+    const verification = await verifyAuditChain(entries);
+    const report = {
+        exportedAt: new Date().toISOString(),
+        algorithm: 'SHA-256',
+        genesisHash: GENESIS_HASH,
+        headHash: entries.length ? entries[entries.length - 1].hash : GENESIS_HASH,
+        verification,
+        entries
+    };
+    return new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+};
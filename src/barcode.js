@@ -0,0 +1,136 @@
+// barcode.js
+// Client-side barcode decoding for stock bottles (UPC-A / EAN-13 / Code 128 and
+// GS1 DataMatrix). Uses the browser's BarcodeDetector where it exists and falls
+// back to ZXing, loaded on first use so it stays out of the main bundle. ZXing also
+// backs up a BarcodeDetector that cannot read DataMatrix (common on desktop Chromium).
+
+const NATIVE_FORMATS = ['upc_a', 'upc_e', 'ean_13', 'code_128', 'data_matrix'];
+
+// ZXing gets slow on full-resolution photos; barcodes stay readable at this size
+const MAX_DECODE_DIMENSION = 1600;
+
+let nativeDetectorPromise = null;
+let zxingPromise = null;
+
+/**
+ * Native BarcodeDetector limited to the formats it actually supports, or null.
+ * `readsDataMatrix` tells whether it covers the GS1 DataMatrix on most bottles.
+ */
+const getNativeDetector = () => {
+    if (!nativeDetectorPromise) {
+        nativeDetectorPromise = (async () => {
+            if (typeof BarcodeDetector === 'undefined') return null;
+            try {
+                const supported = await BarcodeDetector.getSupportedFormats();
+                const formats = NATIVE_FORMATS.filter(format => supported.includes(format));
+                if (formats.length === 0) return null;
+                console.log(`🏷️ Using native BarcodeDetector (${formats.join(', ')})`);
+                return {
+                    detector: new BarcodeDetector({ formats }),
+                    readsDataMatrix: formats.includes('data_matrix')
+                };
+            } catch (err) {
+                console.warn('BarcodeDetector unavailable:', err);
+                return null;
+            }
+        })();
+    }
+    return nativeDetectorPromise;
+};
+
+const getZxingReader = () => {
+    if (!zxingPromise) {
+        zxingPromise = import('@zxing/library').then((ZXing) => {
+            const { BarcodeFormat, DecodeHintType, MultiFormatReader } = ZXing;
+            const hints = new Map();
+            hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+                BarcodeFormat.UPC_A,
+                BarcodeFormat.UPC_E,
+                BarcodeFormat.EAN_13,
+                BarcodeFormat.CODE_128,
+                BarcodeFormat.DATA_MATRIX
+            ]);
+            hints.set(DecodeHintType.TRY_HARDER, true);
+
+            const reader = new MultiFormatReader();
+            reader.setHints(hints);
+            console.log('🏷️ Using ZXing barcode decoder');
+            return { ZXing, reader };
+        });
+    }
+    return zxingPromise;
+};
+
+/**
+ * Draws the source (video, image bitmap or canvas) onto a canvas no larger than
+ * MAX_DECODE_DIMENSION and returns its pixels
+ */
+const readPixels = (source) => {
+    const width = source.videoWidth || source.width;
+    const height = source.videoHeight || source.height;
+    const scale = Math.min(1, MAX_DECODE_DIMENSION / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+const decodeWithZxing = async (source) => {
+    const { ZXing, reader } = await getZxingReader();
+    const { data, width, height } = readPixels(source);
+
+    const luminances = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < luminances.length; i++) {
+        const p = i * 4;
+        luminances[i] = (data[p] + 2 * data[p + 1] + data[p + 2]) >> 2;
+    }
+
+    const bitmap = new ZXing.BinaryBitmap(
+        new ZXing.HybridBinarizer(new ZXing.RGBLuminanceSource(luminances, width, height))
+    );
+
+    try {
+        const result = reader.decodeWithState(bitmap);
+        return {
+            text: result.getText(),
+            format: ZXing.BarcodeFormat[result.getBarcodeFormat()].toLowerCase()
+        };
+    } catch (err) {
+        // Nothing found, or a partial read that failed its checksum - try the next frame
+        if (err instanceof ZXing.NotFoundException
+            || err instanceof ZXing.ChecksumException
+            || err instanceof ZXing.FormatException) return null;
+        throw err;
+    } finally {
+        reader.reset();
+    }
+};
+
+/**
+ * Decodes the first barcode in a video frame, image bitmap or canvas.
+ * Resolves to { text, format } (format in BarcodeDetector naming) or null.
+ */
+export const decodeBarcode = async (source) => {
+    const native = await getNativeDetector();
+    if (native) {
+        const found = await native.detector.detect(source);
+        if (found.length > 0) return { text: found[0].rawValue, format: found[0].format };
+        if (native.readsDataMatrix) return null;
+    }
+    return decodeWithZxing(source);
+};
+
+/**
+ * Decodes a barcode from a photo file
+ */
+export const decodeBarcodeFile = async (file) => {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return await decodeBarcode(bitmap);
+    } finally {
+        bitmap.close();
+    }
+};
@@ -0,0 +1,132 @@
+// camera.js
+// getUserMedia helpers for the in-app camera: opening the rear camera at a chosen
+// resolution, torch and tap-to-focus where the browser exposes them, and grabbing
+// a full-resolution still from the video element.
+
+export const RESOLUTION_PRESETS = [
+    { id: '720p', label: '720p', width: 1280, height: 720 },
+    { id: '1080p', label: '1080p', width: 1920, height: 1080 },
+    { id: '4k', label: '4K', width: 3840, height: 2160 }
+];
+
+export const DEFAULT_RESOLUTION = '1080p';
+
+const CAPTURE_QUALITY = 0.95;
+
+export const isCameraSupported = () => {
+    return typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+};
+
+/**
+ * Why getUserMedia failed: 'denied' (user or browser policy), 'not-found' (no camera),
+ * 'overconstrained' (the requested resolution cannot be met), 'in-use' (another app
+ * holds the camera or the hardware failed) or 'unknown'
+ */
+export const cameraErrorReason = (err) => {
+    switch (err?.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return 'denied';
+        case 'NotFoundError':
+            return 'not-found';
+        case 'OverconstrainedError':
+            return 'overconstrained';
+        case 'NotReadableError':
+        case 'AbortError':
+            return 'in-use';
+        default:
+            return 'unknown';
+    }
+};
+
+/**
+ * Opens the rear camera. Resolution is an "ideal" constraint, so the browser
+ * picks the closest mode the sensor supports.
+ */
+export const openCamera = async (resolutionId = DEFAULT_RESOLUTION) => {
+    const preset = RESOLUTION_PRESETS.find(p => p.id === resolutionId) || RESOLUTION_PRESETS[1];
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: {
+            facingMode: { ideal: 'environment' },
+            width: { ideal: preset.width },
+            height: { ideal: preset.height }
+        }
+    });
+
+    const track = stream.getVideoTracks()[0];
+    const settings = track.getSettings ? track.getSettings() : {};
+    console.log(`📷 Camera opened: ${settings.width || '?'}x${settings.height || '?'} (requested ${preset.label})`);
+
+    return stream;
+};
+
+export const stopCamera = (stream) => {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+};
+
+const capabilitiesOf = (track) => {
+    try {
+        return track?.getCapabilities ? track.getCapabilities() : {};
+    } catch {
+        return {};
+    }
+};
+
+export const supportsTorch = (track) => capabilitiesOf(track).torch === true;
+
+export const setTorch = async (track, on) => {
+    await track.applyConstraints({ advanced: [{ torch: on }] });
+};
+
+/**
+ * Asks the camera to refocus on a point (normalized 0-1 coordinates).
+ * Browsers without focus controls ignore the request; returns whether it was applied.
+ */
+export const focusAt = async (track, point) => {
+    const capabilities = capabilitiesOf(track);
+    const modes = capabilities.focusMode || [];
+    if (modes.length === 0) return false;
+
+    const constraint = {};
+    if (modes.includes('single-shot')) constraint.focusMode = 'single-shot';
+    else if (modes.includes('continuous')) constraint.focusMode = 'continuous';
+    if ('pointsOfInterest' in capabilities) constraint.pointsOfInterest = [point];
+
+    try {
+        await track.applyConstraints({ advanced: [constraint] });
+        return true;
+    } catch (err) {
+        console.warn('Tap-to-focus not applied:', err);
+        return false;
+    }
+};
+
+/**
+ * Grabs the current video frame at the stream's native resolution as a JPEG File,
+ * ready for the same pipeline as an uploaded photo
+ */
+export const captureFrame = (video) => {
+    return new Promise((resolve, reject) => {
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+        if (!width || !height) {
+            reject(new Error('Camera is not ready yet'));
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('Failed to capture photo'));
+                return;
+            }
+            resolve(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+        }, 'image/jpeg', CAPTURE_QUALITY);
+    });
+};
@@ -0,0 +1,29 @@
+// classBreakdown.js
+// Per-class counts for models that return more than one class
+// (whole vs. half tablets, capsule vs. tablet, debris, tray...).
+
+/**
+ * Groups detections by class, keeping first-seen order so colors stay stable.
+ * Returns [{ className, count }].
+ */
+export const groupByClass = (detections) => {
+    const counts = new Map();
+    detections.forEach((d) => {
+        const className = d.class || 'pill';
+        counts.set(className, (counts.get(className) || 0) + 1);
+    });
+    return [...counts].map(([className, count]) => ({ className, count }));
+};
+
+/**
+ * Splits detections into counted ones and those whose class the user excluded
+ */
+export const filterExcludedClasses = (detections, excludedClasses) => {
+    if (excludedClasses.length === 0) return { counted: detections, dropped: [] };
+
+    const excluded = new Set(excludedClasses);
+    return {
+        counted: detections.filter(d => !excluded.has(d.class || 'pill')),
+        dropped: detections.filter(d => excluded.has(d.class || 'pill'))
+    };
+};
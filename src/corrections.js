@@ -0,0 +1,117 @@
+// corrections.js
+// Manual count corrections on the results screen: remove AI boxes, add user-placed
+// markers, with a full undo/redo history. All helpers are pure; the component keeps
+// the history object in state.
+
+const EMPTY_CORRECTIONS = { removedIds: [], added: [] };
+
+/**
+ * Fresh history with no edits
+ */
+export const createEditHistory = (initial = EMPTY_CORRECTIONS) => ({
+    past: [],
+    present: initial,
+    future: []
+});
+
+/**
+ * Records a new corrections state; clears the redo stack
+ */
+export const pushEdit = (history, next) => ({
+    past: [...history.past, history.present],
+    present: next,
+    future: []
+});
+
+export const undoEdit = (history) => {
+    if (history.past.length === 0) return history;
+    return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future]
+    };
+};
+
+export const redoEdit = (history) => {
+    if (history.future.length === 0) return history;
+    return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1)
+    };
+};
+
+export const hasCorrections = (corrections) => {
+    return corrections.removedIds.length > 0 || corrections.added.length > 0;
+};
+
+const contains = (box, point) => (
+    point.x >= box.x && point.x <= box.x + box.width &&
+    point.y >= box.y && point.y <= box.y + box.height
+);
+
+/**
+ * Typical box size for new markers: median detection size, or ~4% of the image width
+ */
+const markerSize = (detections, imageWidth) => {
+    if (detections.length === 0) return { width: imageWidth * 0.04, height: imageWidth * 0.04 };
+
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    };
+
+    return {
+        width: median(detections.map(d => d.width)),
+        height: median(detections.map(d => d.height))
+    };
+};
+
+/**
+ * Applies corrections to the AI detections.
+ * Returns kept AI detections, AI detections the user removed, and the user-placed markers.
+ */
+export const applyCorrections = (detections, corrections) => {
+    const removed = new Set(corrections.removedIds);
+    return {
+        kept: detections.filter(d => !removed.has(d.id)),
+        removed: detections.filter(d => removed.has(d.id)),
+        manual: corrections.added
+    };
+};
+
+/**
+ * Resolves a tap (in image pixels) into the next corrections state:
+ * tapping a user marker deletes it, tapping a removed AI box restores it,
+ * tapping a counted AI box removes it, and tapping empty space adds a marker.
+ * Smaller boxes win when several overlap the tap.
+ */
+export const toggleAtPoint = (corrections, detections, point, imageWidth) => {
+    const bySize = (a, b) => a.width * a.height - b.width * b.height;
+
+    const marker = corrections.added.filter(m => contains(m, point)).sort(bySize)[0];
+    if (marker) {
+        return { ...corrections, added: corrections.added.filter(m => m.id !== marker.id) };
+    }
+
+    const hit = detections.filter(d => contains(d, point)).sort(bySize)[0];
+    if (hit) {
+        const removedIds = corrections.removedIds.includes(hit.id)
+            ? corrections.removedIds.filter(id => id !== hit.id)
+            : [...corrections.removedIds, hit.id];
+        return { ...corrections, removedIds };
+    }
+
+    const size = markerSize(detections, imageWidth);
+    return {
+        ...corrections,
+        added: [...corrections.added, {
+            id: `manual-${Date.now()}-${corrections.added.length}`,
+            x: point.x - size.width / 2,
+            y: point.y - size.height / 2,
+            width: size.width,
+            height: size.height,
+            manual: true
+        }]
+    };
+};
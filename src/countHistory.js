@@ -0,0 +1,105 @@
+// countHistory.js
+// Saved counts in IndexedDB. Each entry keeps everything needed to re-open the
+// interactive results screen: the original image, raw predictions, threshold,
+// NMS options and the user's edits (corrections, zones, class/size decisions), the
+// pipeline's quality check (including an override), tiling and duplicate-merge
+// summaries, plus a small annotated thumbnail for the history list.
+
+import { STORES, putRecord, getRecord, getAllRecords, deleteRecord } from './db';
+import { createScaledCopy } from './overlayRenderer';
+
+const THUMBNAIL_SIZE = 240;
+
+/**
+ * When the count was taken: the capture time, or the first save for older entries.
+ * Exports, the date filter and the list order all use this.
+ */
+export const countedAt = (entry) => entry.capturedAt || entry.savedAt;
+
+/**
+ * Saves (or updates, when entry.id is set) a count.
+ * imageUrl is the original photo, annotatedUrl the rendered overlay for the thumbnail.
+ * Updating keeps the first savedAt and records the edit time as updatedAt.
+ */
+export const saveToHistory = async ({ id, imageUrl, annotatedUrl, ...entry }) => {
+    const [image, thumbnail, existing] = await Promise.all([
+        fetch(imageUrl).then(response => response.blob()),
+        createScaledCopy(annotatedUrl, THUMBNAIL_SIZE, 0.8),
+        id ? getRecord(STORES.history, id) : null
+    ]);
+
+    const now = new Date().toISOString();
+    const record = {
+        ...entry,
+        id: id || `count-${Date.now()}`,
+        savedAt: existing?.savedAt || now,
+        updatedAt: existing ? now : null,
+        image,
+        thumbnail
+    };
+
+    await putRecord(STORES.history, record);
+    console.log(`🗂️ Saved count ${record.id}: ${record.count} pills`);
+    return record;
+};
+
+/**
+ * All saved counts, newest first
+ */
+export const listHistory = async () => {
+    const entries = await getAllRecords(STORES.history);
+    return entries.sort((a, b) => countedAt(b).localeCompare(countedAt(a)));
+};
+
+export const deleteHistoryEntry = (id) => deleteRecord(STORES.history, id);
+
+/**
+ * Filters by count date (countedAt; inclusive 'YYYY-MM-DD' bounds, local time) and by a
+ * case-insensitive search over drug name, notes and the scanned NDC / lot
+ */
+export const filterHistory = (entries, { from, to, query } = {}) => {
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    const needle = (query || '').trim().toLowerCase();
+
+    return entries.filter((entry) => {
+        const time = new Date(countedAt(entry)).getTime();
+        if (time < fromTime || time > toTime) return false;
+        if (!needle) return true;
+        const scanned = entry.drug ? `${entry.drug.ndc || ''} ${entry.drug.lot || ''}` : '';
+        return `${entry.drugName || ''} ${entry.notes || ''} ${scanned}`.toLowerCase().includes(needle);
+    });
+};
+
+/**
+ * Rebuilds a results object for ResultsDisplay, including the saved edits
+ */
+export const openHistoryEntry = async (entry) => {
+    const imageBitmap = await createImageBitmap(entry.image);
+    return {
+        originalImageUrl: URL.createObjectURL(entry.image),
+        imageBitmap,
+        predictions: entry.predictions,
+        threshold: entry.threshold,
+        nms: entry.nms,
+        originalWidth: entry.originalWidth,
+        originalHeight: entry.originalHeight,
+        detectorId: entry.detectorId,
+        modelId: entry.modelId,
+        timestamp: entry.capturedAt || entry.savedAt,
+        video: entry.video,
+        quality: entry.quality || null,
+        tiling: entry.tiling || null,
+        duplicates: entry.duplicates || null,
+        historyId: entry.id,
+        verification: entry.verification,
+        restored: {
+            edits: entry.edits,
+            drugName: entry.drugName,
+            notes: entry.notes,
+            operator: entry.operator,
+            target: entry.target || null,
+            drug: entry.drug || null
+        }
+    };
+};
@@ -0,0 +1,49 @@
+// countingSession.js
+// Multi-photo tally session for fills that take several pours. Each pour keeps its
+// final (corrected) count and a reduced annotated image; helpers are pure except
+// for the image encode/release, and the App keeps the session object in state.
+
+import { createScaledCopy } from './overlayRenderer';
+
+const POUR_IMAGE_SIZE = 800; // longest side of the stored annotated image
+
+export const createSession = () => ({
+    id: `session-${Date.now()}`,
+    startedAt: new Date().toISOString(),
+    pours: []
+});
+
+export const addPour = (session, pour) => ({
+    ...session,
+    pours: [...session.pours, { ...pour, id: `pour-${Date.now()}-${session.pours.length}` }]
+});
+
+/**
+ * Swaps a pour for a recount, keeping its id and position in the list
+ */
+export const replacePour = (session, pourId, pour) => ({
+    ...session,
+    pours: session.pours.map(p => (p.id === pourId ? { ...pour, id: pourId } : p))
+});
+
+export const removePour = (session, pourId) => ({
+    ...session,
+    pours: session.pours.filter(p => p.id !== pourId)
+});
+
+export const sessionTotal = (session) => {
+    return session.pours.reduce((sum, pour) => sum + pour.count, 0);
+};
+
+/**
+ * Reduced copy of the annotated results image, kept for the thumbnail list and
+ * the combined summary. Returns { image (Blob), imageUrl }.
+ */
+export const createPourImage = async (annotatedUrl) => {
+    const image = await createScaledCopy(annotatedUrl, POUR_IMAGE_SIZE);
+    return { image, imageUrl: URL.createObjectURL(image) };
+};
+
+export const releasePour = (pour) => {
+    if (pour?.imageUrl) URL.revokeObjectURL(pour.imageUrl);
+};
@@ -0,0 +1,68 @@
+// db.js
+// Minimal promise wrapper around the app's IndexedDB database.
+// Object stores are created in onupgradeneeded; bump DB_VERSION when adding one.
+
+const DB_NAME = 'pill-counter';
+const DB_VERSION = 3;
+
+export const STORES = {
+    queue: 'queue',      // v1: offline capture queue
+    history: 'history',  // v2: saved counts
+    audit: 'audit'       // v3: hash-chained verification log (append-only)
+};
+
+let dbPromise = null;
+
+export const isDatabaseSupported = () => typeof indexedDB !== 'undefined';
+
+export const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.queue)) {
+                    db.createObjectStore(STORES.queue, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORES.history)) {
+                    db.createObjectStore(STORES.history, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORES.audit)) {
+                    db.createObjectStore(STORES.audit, { keyPath: 'seq' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error || new Error('Failed to open local database'));
+            };
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs one request in its own transaction and resolves with its result once committed
+ */
+const runRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Database transaction aborted'));
+    });
+};
+
+// Insert only: fails with a ConstraintError when the key already exists
+export const addRecord = (storeName, record) => runRequest(storeName, 'readwrite', (store) => store.add(record));
+
+export const putRecord = (storeName, record) => runRequest(storeName, 'readwrite', (store) => store.put(record));
+
+export const getRecord = (storeName, id) => runRequest(storeName, 'readonly', (store) => store.get(id));
+
+export const getAllRecords = (storeName) => runRequest(storeName, 'readonly', (store) => store.getAll());
+
+export const deleteRecord = (storeName, id) => runRequest(storeName, 'readwrite', (store) => store.delete(id));
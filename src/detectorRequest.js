@@ -0,0 +1,140 @@
+// detectorRequest.js
+// fetch() wrapper for remote detector calls: per-attempt timeout, caller cancellation
+// (AbortSignal), exponential backoff on network errors and 5xx, and Retry-After
+// handling for 429 with a once-a-second countdown callback.
+
+export const REQUEST_TIMEOUT_MS = 30000;   // matches the proxy's maxDuration
+export const MAX_RETRIES = 3;              // transient failures (network, 5xx)
+export const MAX_RATE_LIMIT_WAITS = 3;     // 429 responses
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 8000;
+const DEFAULT_RETRY_AFTER_S = 10;
+
+export const cancelledError = () => Object.assign(new Error('Detection cancelled'), { cancelled: true });
+
+export const isCancelledError = (error) => error?.cancelled === true;
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (!value) return DEFAULT_RETRY_AFTER_S;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, Math.ceil((date - now) / 1000)) : DEFAULT_RETRY_AFTER_S;
+};
+
+/**
+ * 1s, 2s, 4s ... capped, with up to 25% jitter so parallel tiles do not retry in lockstep
+ */
+export const backoffDelay = (attempt) => {
+    const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    return Math.round(base * (1 + Math.random() * 0.25));
+};
+
+/**
+ * Resolves after ms, rejects with a cancelled error as soon as the signal aborts
+ */
+const wait = (ms, signal) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(cancelledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+};
+
+/**
+ * One attempt: aborts on the caller's signal or after timeoutMs
+ */
+const fetchOnce = async (url, init, { signal, timeoutMs }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (signal?.aborted) throw cancelledError();
+        if (timedOut) throw Object.assign(new Error('Detection request timeout'), { transient: true });
+        throw Object.assign(new Error(`API request failed: ${error.message}`), { transient: true });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * POSTs to a detector endpoint and returns the OK response.
+ * onStatus receives { type: 'retry', attempt, delayMs, reason } before a backoff and
+ * { type: 'rate-limit', secondsLeft } every second while waiting out a 429.
+ * Non-transient HTTP errors are thrown as "API request failed: <status>" with `status` set.
+ */
+export const requestDetection = async (url, init, {
+    signal,
+    onStatus,
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    retries = MAX_RETRIES
+} = {}) => {
+    let attempt = 0;
+    let rateLimitWaits = 0;
+
+    for (;;) {
+        if (signal?.aborted) throw cancelledError();
+
+        let response;
+        try {
+            response = await fetchOnce(url, init, { signal, timeoutMs });
+        } catch (error) {
+            if (!error.transient || attempt >= retries) throw error;
+            const delayMs = backoffDelay(attempt++);
+            console.warn(`Detector request failed (${error.message}), retry ${attempt} in ${delayMs}ms`);
+            if (onStatus) onStatus({ type: 'retry', attempt, delayMs, reason: error.message });
+            await wait(delayMs, signal);
+            continue;
+        }
+
+        if (response.status === 429) {
+            if (rateLimitWaits >= MAX_RATE_LIMIT_WAITS) {
+                throw Object.assign(new Error('API request failed: rate limited'), { status: 429 });
+            }
+            rateLimitWaits++;
+            const seconds = parseRetryAfter(response.headers.get('Retry-After'));
+            console.warn(`Detector rate limited, waiting ${seconds}s`);
+            for (let left = seconds; left > 0; left--) {
+                if (onStatus) onStatus({ type: 'rate-limit', secondsLeft: left });
+                await wait(1000, signal);
+            }
+            continue;
+        }
+
+        if (response.status >= 500 && attempt < retries) {
+            const delayMs = backoffDelay(attempt++);
+            console.warn(`Detector returned ${response.status}, retry ${attempt} in ${delayMs}ms`);
+            if (onStatus) onStatus({ type: 'retry', attempt, delayMs, reason: `HTTP ${response.status}` });
+            await wait(delayMs, signal);
+            continue;
+        }
+
+        if (!response.ok) {
+            throw Object.assign(new Error(`API request failed: ${response.status}`), { status: response.status });
+        }
+
+        return response;
+    }
+};
@@ -0,0 +1,360 @@
+// detectors.js
+// Pluggable pill detection backends. Every provider returns the same normalized shape:
+//   { providerId, image: { width, height }, predictions: [{ x, y, width, height, confidence, class }] }
+// where x/y are the CENTER of the box in image pixels (Roboflow convention).
+
+import { createOnDeviceDetector } from './onDeviceDetector';
+import { createMockDetector } from './mockDetector';
+import { requestDetection, isCancelledError } from './detectorRequest';
+import { renderTransformed, encodeJpeg } from './imagePipelineCore';
+import { UPLOAD_JPEG_QUALITIES, fitsUploadBudget, uploadScale } from './uploadBudget';
+
+const env = import.meta.env || {};
+
+const DEFAULT_CONFIG = {
+    provider: env.VITE_DETECTOR_PROVIDER || 'roboflow',
+    roboflow: {
+        // Serverless proxy that attaches the API key (see api/detect.js)
+        proxyUrl: env.VITE_DETECT_PROXY_URL || '/api/detect'
+    },
+    inferenceServer: {
+        serverUrl: env.VITE_INFERENCE_SERVER_URL || 'http://localhost:9001',
+        modelId: env.VITE_INFERENCE_MODEL_ID || 'pill-detection-eye/1'
+    },
+    yolo: {
+        endpoint: env.VITE_YOLO_ENDPOINT || 'http://localhost:8000/detect'
+    },
+    onDevice: {
+        // YOLO ONNX export placed in public/models; kept in Cache Storage after the first load
+        modelUrl: env.VITE_ONDEVICE_MODEL_URL || '/models/pill-detection.onnx',
+        classNames: (env.VITE_ONDEVICE_CLASSES || 'pill').split(',').map(name => name.trim()),
+        inputSize: Number(env.VITE_ONDEVICE_INPUT_SIZE) || 640
+    },
+    mock: {
+        seed: Number(env.VITE_MOCK_DETECTOR_SEED) || 42,
+        count: Number(env.VITE_MOCK_DETECTOR_COUNT) || 24
+    }
+};
+
+/**
+ * Converts a file to base64 string
+ */
+export const fileToBase64 = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const base64 = reader.result;
+            // Remove data URL prefix if present
+            const base64Data = base64.split(',')[1] || base64;
+            resolve(base64Data);
+        };
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsDataURL(file);
+    });
+};
+
+/**
+ * Coerces a single prediction into the normalized center-based format
+ */
+const normalizePrediction = (p) => ({
+    x: Number(p.x),
+    y: Number(p.y),
+    width: Number(p.width),
+    height: Number(p.height),
+    confidence: Number(p.confidence ?? 0),
+    class: p.class ?? 'pill'
+});
+
+/**
+ * Logs detector output in CTMS style
+ */
+const logDetectorResponse = (providerId, data, result) => {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🔬 PILL COUNTER API RESPONSE (${providerId})`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📊 Full Response:', data);
+
+    if (result.image?.width) {
+        console.log(`📷 Image Size: ${result.image.width}x${result.image.height}`);
+    }
+
+    console.log('📈 Total Detections:', result.predictions.length);
+    console.log('🎯 Predictions Detail:');
+    result.predictions.forEach((pred, idx) => {
+        const status = pred.confidence >= 0.50 ? '✅' : '❌';
+        console.log(`  ${status} [${idx + 1}] Conf: ${(pred.confidence * 100).toFixed(1)}% | ` +
+            `Size: ${pred.width.toFixed(0)}x${pred.height.toFixed(0)} | ` +
+            `Ratio: ${(pred.width / pred.height).toFixed(2)} | ` +
+            `Pos: (${pred.x.toFixed(0)}, ${pred.y.toFixed(0)})`);
+    });
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+};
+
+/**
+ * Maps request failures to the messages getErrorMessage() understands.
+ * Cancellation, timeouts and connection/HTTP failures keep their own message;
+ * anything else (bad JSON, unexpected errors) becomes "Failed to analyze image".
+ */
+const toDetectorError = (error) => {
+    if (isCancelledError(error)) return error;
+    if (error.status === 413) return new Error('Image file is too large for the detection service.');
+    if (/timeout|api request failed/i.test(error.message)) return error;
+    return new Error('Failed to analyze image. Please try again.');
+};
+
+/**
+ * Downscales / re-encodes an image so its base64 body fits the proxy limit
+ * (see uploadBudget.js). Returns { file, width, height } of what gets uploaded;
+ * the original file is passed through when it already fits.
+ */
+const prepareUpload = async (imageFile, { width, height, bitmap }) => {
+    const known = width && height;
+    if (known && uploadScale(width, height) === 1 && fitsUploadBudget(imageFile.size)) {
+        return { file: imageFile, width, height };
+    }
+
+    const source = bitmap || await createImageBitmap(imageFile);
+    try {
+        let scale = uploadScale(source.width, source.height);
+        // Each round tries every quality, then shrinks; 4 rounds end below 1000px on the long side
+        for (let round = 0; round < 4; round++, scale *= 0.75) {
+            const canvas = renderTransformed(source, { scale });
+            for (const quality of UPLOAD_JPEG_QUALITIES) {
+                const blob = await encodeJpeg(canvas, quality);
+                if (fitsUploadBudget(blob.size)) {
+                    console.log(`📦 Upload: ${canvas.width}x${canvas.height} @ q${quality} (${(blob.size / 1024 / 1024).toFixed(2)}MB)`);
+                    return {
+                        file: new File([blob], imageFile.name || 'image.jpg', { type: 'image/jpeg' }),
+                        width: canvas.width,
+                        height: canvas.height
+                    };
+                }
+            }
+        }
+    } finally {
+        if (!bitmap) source.close();
+    }
+    throw Object.assign(new Error('Image too large'), { status: 413 });
+};
+
+/**
+ * Maps predictions from the size the model saw (its reported image size, else the
+ * uploaded size) back to the caller's image size
+ */
+const scaleToImage = (result, size) => {
+    if (!size.width || !size.height) return result;
+
+    const scaleX = size.width / result.image.width;
+    const scaleY = size.height / result.image.height;
+    if (scaleX === 1 && scaleY === 1) return result;
+
+    return {
+        ...result,
+        image: { width: size.width, height: size.height },
+        predictions: result.predictions.map((p) => ({
+            ...p,
+            x: p.x * scaleX,
+            y: p.y * scaleY,
+            width: p.width * scaleX,
+            height: p.height * scaleY
+        }))
+    };
+};
+
+/**
+ * Calls a Roboflow-compatible endpoint (hosted or self-hosted) for pill detection.
+ * signal cancels the request; onStatus reports retries and rate-limit waits.
+ * Returns { data, modelId }, modelId being the X-Model-Id the proxy reports (else null).
+ */
+const callRoboflowAPI = async (url, imageFile, { onProgress, signal, onStatus } = {}) => {
+    if (onProgress) onProgress(0.3);
+
+    try {
+        const base64Data = await fileToBase64(imageFile);
+
+        const response = await requestDetection(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: base64Data
+        }, { signal, onStatus });
+
+        if (onProgress) onProgress(0.7);
+
+        const data = await response.json();
+
+        if (onProgress) onProgress(1.0);
+
+        return { data, modelId: response.headers.get('X-Model-Id') };
+    } catch (error) {
+        console.error('Roboflow API error:', error);
+        throw toDetectorError(error);
+    }
+};
+
+/**
+ * Normalizes a Roboflow response ({ image, predictions })
+ */
+const normalizeRoboflowResponse = (providerId, data, size) => ({
+    providerId,
+    image: {
+        width: data?.image?.width ?? size.width,
+        height: data?.image?.height ?? size.height
+    },
+    predictions: Array.isArray(data?.predictions)
+        ? data.predictions.map(normalizePrediction)
+        : []
+});
+
+/**
+ * Roboflow hosted API, reached through the /api/detect proxy so the key stays server-side.
+ * The proxy's ROBOFLOW_MODEL_ENDPOINT picks the model, so each result carries the model
+ * id the proxy reports rather than one configured in the client.
+ */
+export const createRoboflowDetector = ({ proxyUrl }) => ({
+    id: 'roboflow',
+    modelId: null,
+    detect: async (imageFile, { width, height, bitmap, onProgress, signal, onStatus } = {}) => {
+        const upload = await prepareUpload(imageFile, { width, height, bitmap }).catch((error) => {
+            throw toDetectorError(error);
+        });
+        const { data, modelId } = await callRoboflowAPI(proxyUrl, upload.file, { onProgress, signal, onStatus });
+        const result = {
+            ...scaleToImage(normalizeRoboflowResponse('roboflow', data, upload), { width, height }),
+            modelId
+        };
+        logDetectorResponse('roboflow', data, result);
+        return result;
+    }
+});
+
+/**
+ * Self-hosted Roboflow inference server (same request/response shape, different host).
+ * Called straight from the browser, so it takes no API key: anything the client holds
+ * ships in the bundle. A server that needs a key goes behind the /api/detect proxy.
+ */
+export const createInferenceServerDetector = ({ serverUrl, modelId }) => ({
+    id: 'inference-server',
+    modelId,
+    detect: async (imageFile, { width, height, bitmap, onProgress, signal, onStatus } = {}) => {
+        const url = `${serverUrl.replace(/\/+$/, '')}/${modelId}`;
+        const upload = await prepareUpload(imageFile, { width, height, bitmap }).catch((error) => {
+            throw toDetectorError(error);
+        });
+        const { data } = await callRoboflowAPI(url, upload.file, { onProgress, signal, onStatus });
+        const result = scaleToImage(normalizeRoboflowResponse('inference-server', data, upload), { width, height });
+        logDetectorResponse('inference-server', data, result);
+        return result;
+    }
+});
+
+/**
+ * Converts one YOLO-style box into the normalized format.
+ * Accepts corner boxes (xmin/ymin/xmax/ymax, x1/y1/x2/y2, bbox: [x1, y1, x2, y2])
+ * or center boxes (x/y/width/height).
+ */
+const normalizeYoloBox = (box) => {
+    let x1, y1, x2, y2;
+
+    if (Array.isArray(box.bbox)) {
+        [x1, y1, x2, y2] = box.bbox;
+    } else if (box.xmin !== undefined) {
+        ({ xmin: x1, ymin: y1, xmax: x2, ymax: y2 } = box);
+    } else if (box.x1 !== undefined) {
+        ({ x1, y1, x2, y2 } = box);
+    } else {
+        return normalizePrediction(box);
+    }
+
+    return normalizePrediction({
+        x: (x1 + x2) / 2,
+        y: (y1 + y2) / 2,
+        width: x2 - x1,
+        height: y2 - y1,
+        confidence: box.confidence ?? box.score ?? box.conf,
+        class: box.class ?? box.name ?? box.label
+    });
+};
+
+/**
+ * Generic YOLO-JSON HTTP endpoint: multipart upload of the image,
+ * response is either an array of boxes or { predictions | detections | boxes: [...] }
+ */
+export const createYoloHttpDetector = ({ endpoint }) => ({
+    id: 'yolo',
+    modelId: endpoint,
+    detect: async (imageFile, { width, height, onProgress, signal, onStatus } = {}) => {
+        if (onProgress) onProgress(0.3);
+
+        let data;
+        try {
+            const formData = new FormData();
+            formData.append('image', imageFile, imageFile.name || 'image.jpg');
+
+            const response = await requestDetection(endpoint, { method: 'POST', body: formData }, { signal, onStatus });
+
+            if (onProgress) onProgress(0.7);
+            data = await response.json();
+        } catch (error) {
+            console.error('YOLO endpoint error:', error);
+            throw toDetectorError(error);
+        }
+
+        const boxes = Array.isArray(data)
+            ? data
+            : data?.predictions || data?.detections || data?.boxes || [];
+
+        const result = {
+            providerId: 'yolo',
+            image: {
+                width: data?.image?.width ?? width,
+                height: data?.image?.height ?? height
+            },
+            predictions: boxes.map(normalizeYoloBox)
+        };
+
+        logDetectorResponse('yolo', data, result);
+        if (onProgress) onProgress(1.0);
+
+        return result;
+    }
+});
+
+const DETECTOR_FACTORIES = {
+    'roboflow': (config) => createRoboflowDetector(config.roboflow),
+    'inference-server': (config) => createInferenceServerDetector(config.inferenceServer),
+    'yolo': (config) => createYoloHttpDetector(config.yolo),
+    'on-device': (config) => createOnDeviceDetector(config.onDevice),
+    'mock': (config) => createMockDetector(config.mock)
+};
+
+export { createMockDetector };
+
+/**
+ * Names of the available detector providers
+ */
+export const DETECTOR_PROVIDERS = Object.keys(DETECTOR_FACTORIES);
+
+/**
+ * Builds a detector from config. Missing sections fall back to the
+ * VITE_* environment defaults, so `getDetector()` returns the configured provider.
+ */
+export const getDetector = (overrides = {}) => {
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...overrides,
+        roboflow: { ...DEFAULT_CONFIG.roboflow, ...overrides.roboflow },
+        inferenceServer: { ...DEFAULT_CONFIG.inferenceServer, ...overrides.inferenceServer },
+        yolo: { ...DEFAULT_CONFIG.yolo, ...overrides.yolo },
+        onDevice: { ...DEFAULT_CONFIG.onDevice, ...overrides.onDevice },
+        mock: { ...DEFAULT_CONFIG.mock, ...overrides.mock }
+    };
+
+    const factory = DETECTOR_FACTORIES[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown detector provider: ${config.provider}`);
+    }
+
+    return factory(config);
+};
@@ -0,0 +1,113 @@
+// drugCodes.js
+// Parses stock-bottle barcodes into a drug identity: NDC from UPC-A / EAN-13 /
+// GTIN-14, plus lot, expiry and serial from GS1 DataMatrix element strings.
+// The NDC is returned as its 10 digits; the hyphen layout (4-4-2, 5-3-2, 5-4-1)
+// is not encoded in the barcode.
+
+const GS = '\u001d'; // FNC1 / group separator in raw GS1 data
+
+// Application identifiers we read; fixed-length ones have a length
+const GS1_AIS = {
+    '01': { key: 'gtin', length: 14 },
+    '11': { key: 'productionDate', length: 6 },
+    '17': { key: 'expiry', length: 6 },
+    '10': { key: 'lot' },
+    '21': { key: 'serial' }
+};
+
+/**
+ * GS1 YYMMDD -> 'YYYY-MM-DD' ('YYYY-MM' when the day is 00, i.e. end of month)
+ */
+export const formatGs1Date = (yymmdd) => {
+    if (!/^\d{6}$/.test(yymmdd)) return null;
+    const year = 2000 + Number(yymmdd.slice(0, 2));
+    const month = yymmdd.slice(2, 4);
+    const day = yymmdd.slice(4, 6);
+    return day === '00' ? `${year}-${month}` : `${year}-${month}-${day}`;
+};
+
+/**
+ * Splits a GS1 element string, either raw (FNC1 separators, optional "]d2"/"]C1"
+ * symbology prefix or leading FNC1) or human-readable with parenthesized AIs
+ */
+export const parseGs1 = (text) => {
+    const fields = {};
+
+    if (text.includes('(')) {
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const ai = GS1_AIS[match[1]];
+            if (ai) fields[ai.key] = match[2].trim();
+        }
+        return fields;
+    }
+
+    let data = text.replace(/^\][A-Za-z]\d/, '').replace(/^\u001d/, '');
+    while (data.length >= 2) {
+        const ai = GS1_AIS[data.slice(0, 2)];
+        if (!ai) break; // unknown AI - we cannot tell where it ends
+
+        data = data.slice(2);
+        if (ai.length) {
+            fields[ai.key] = data.slice(0, ai.length);
+            data = data.slice(ai.length);
+        } else {
+            const end = data.indexOf(GS);
+            fields[ai.key] = end === -1 ? data : data.slice(0, end);
+            data = end === -1 ? '' : data.slice(end);
+        }
+        if (data.startsWith(GS)) data = data.slice(1);
+    }
+    return fields;
+};
+
+/**
+ * NDC-10 from a US drug GTIN-14 ("003" + NDC + check digit)
+ */
+export const ndcFromGtin = (gtin) => {
+    return /^\d{14}$/.test(gtin) && gtin.startsWith('03', 1) ? gtin.slice(3, 13) : null;
+};
+
+/**
+ * NDC-10 from a UPC-A ("3" + NDC + check digit) or its EAN-13 form ("03" + ...)
+ */
+export const ndcFromUpc = (digits) => {
+    if (/^\d{13}$/.test(digits) && digits.startsWith('0')) digits = digits.slice(1);
+    return /^3\d{11}$/.test(digits) ? digits.slice(1, 11) : null;
+};
+
+/**
+ * Decoded barcode ({ text, format }) -> { raw, format, ndc, gtin, lot, expiry, serial }.
+ * ndc is null when the code does not carry a US drug identifier.
+ */
+export const parseDrugBarcode = ({ text, format }) => {
+    const raw = text.trim();
+    const drug = { raw, format, ndc: null, gtin: null, lot: null, expiry: null, serial: null };
+
+    if (/^\d{12,13}$/.test(raw)) {
+        drug.ndc = ndcFromUpc(raw);
+        return drug;
+    }
+
+    const fields = parseGs1(raw);
+    if (fields.gtin) {
+        drug.gtin = fields.gtin;
+        drug.ndc = ndcFromGtin(fields.gtin);
+        drug.lot = fields.lot || null;
+        drug.serial = fields.serial || null;
+        drug.expiry = fields.expiry ? formatGs1Date(fields.expiry) : null;
+    }
+    return drug;
+};
+
+/**
+ * One-line label, e.g. "NDC 0093715056 · Lot A123 · Exp 2027-05"
+ */
+export const describeDrug = (drug) => {
+    if (!drug) return '';
+    const parts = [drug.ndc ? `NDC ${drug.ndc}` : `Code ${drug.raw}`];
+    if (drug.lot) parts.push(`Lot ${drug.lot}`);
+    if (drug.expiry) parts.push(`Exp ${drug.expiry}`);
+    return parts.join(' · ');
+};
@@ -0,0 +1,42 @@
+// exclusionZones.js
+// User-drawn polygons on the results screen; detections whose center falls
+// inside any zone are dropped from the count (tray spout, label, spilled pills).
+// Polygons are arrays of { x, y } in original image pixels.
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+export const pointInPolygon = (point, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+};
+
+const center = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+/**
+ * Splits top-left detections into those counted and those excluded by a zone
+ */
+export const applyExclusionZones = (detections, zones) => {
+    const closed = zones.filter(zone => zone.length >= 3);
+    if (closed.length === 0) return { included: detections, excluded: [] };
+
+    const included = [];
+    const excluded = [];
+    detections.forEach((d) => {
+        const c = center(d);
+        if (closed.some(zone => pointInPolygon(c, zone))) {
+            excluded.push(d);
+        } else {
+            included.push(d);
+        }
+    });
+
+    return { included, excluded };
+};
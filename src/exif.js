@@ -0,0 +1,89 @@
+// exif.js
+// Minimal JPEG EXIF orientation reader.
+// Browsers disagree on whether they apply EXIF orientation when decoding, so the
+// pipeline resets the tag to 1 (no rotation) before decoding and applies the
+// transform itself - the detector and the overlay then always see the same pixels.
+
+/**
+ * Transform for each EXIF orientation: mirror horizontally first, then rotate clockwise
+ */
+export const ORIENTATION_TRANSFORMS = {
+    1: { rotation: 0, flipX: false },
+    2: { rotation: 0, flipX: true },
+    3: { rotation: 180, flipX: false },
+    4: { rotation: 180, flipX: true },
+    5: { rotation: 270, flipX: true },
+    6: { rotation: 90, flipX: false },
+    7: { rotation: 90, flipX: true },
+    8: { rotation: 270, flipX: false }
+};
+
+/**
+ * Finds the orientation tag in a JPEG's APP1/EXIF segment.
+ * Returns { orientation, valueOffset, littleEndian } or null when absent. Every read
+ * is checked against the buffer, so a truncated or corrupt header also gives null.
+ */
+export const findExifOrientation = (buffer) => {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // not a JPEG
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null; // start of scan: no EXIF
+        const segmentLength = view.getUint16(offset + 2);
+
+        // APP1 starting with "Exif\0\0"
+        if (marker === 0xFFE1 && offset + 8 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            if (tiff + 8 > view.byteLength) return null;
+            const littleEndian = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+            if (ifd + 2 > view.byteLength) return null;
+            const entries = view.getUint16(ifd, littleEndian);
+
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > view.byteLength) return null;
+                if (view.getUint16(entry, littleEndian) === 0x0112) {
+                    return {
+                        orientation: view.getUint16(entry + 8, littleEndian),
+                        valueOffset: entry + 8,
+                        littleEndian
+                    };
+                }
+            }
+            return null;
+        }
+
+        offset += 2 + segmentLength;
+    }
+    return null;
+};
+
+/**
+ * Reads the EXIF orientation of a file and returns a copy with the tag reset to 1,
+ * so every browser decodes the raw, un-rotated pixels.
+ * Returns { blob, transform } - transform comes from ORIENTATION_TRANSFORMS.
+ */
+export const stripOrientation = async (blob) => {
+    const buffer = await blob.arrayBuffer();
+    let found = null;
+    try {
+        found = findExifOrientation(buffer);
+    } catch (error) {
+        console.warn('Unreadable EXIF data, assuming orientation 1:', error);
+    }
+
+    if (!found || !ORIENTATION_TRANSFORMS[found.orientation] || found.orientation === 1) {
+        return { blob, transform: ORIENTATION_TRANSFORMS[1] };
+    }
+
+    new DataView(buffer).setUint16(found.valueOffset, 1, found.littleEndian);
+    console.log(`EXIF orientation ${found.orientation} normalized`);
+
+    return {
+        blob: new Blob([buffer], { type: blob.type || 'image/jpeg' }),
+        transform: ORIENTATION_TRANSFORMS[found.orientation]
+    };
+};
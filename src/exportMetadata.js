@@ -0,0 +1,90 @@
+// exportMetadata.js
+// Metadata for exported result images: the footer lines burned into the JPEG and
+// a JSON sidecar listing every box with its confidence. The sidecar carries the
+// image's SHA-256, so a shared image can be matched to exactly how it was produced.
+
+import { sha256Hex } from './auditLog';
+import { describeDrug } from './drugCodes';
+
+/**
+ * Footer text, e.g.
+ *   "30 pills · manual edits (AI count 28)"
+ *   "NDC 0093005801 · Lot AB123 · Exp 2027-03-31"   (only when a drug was scanned)
+ *   "10/19/2026, 2:03:11 PM · Model pill-detection-eye/1 · Threshold 50%"
+ */
+export const describeExportFooter = ({ count, aiCount, manualEdits, capturedAt, modelId, threshold, drug }) => [
+    `${count} pills · ${manualEdits ? `manual edits (AI count ${aiCount})` : 'no manual edits'}`,
+    ...(drug ? [describeDrug(drug)] : []),
+    `${new Date(capturedAt || Date.now()).toLocaleString()} · Model ${modelId || 'unknown'} · Threshold ${Math.round(threshold * 100)}%`
+];
+
+/**
+ * Box in original image pixels (top-left corner) with its overlay number
+ */
+const toSidecarBox = (box, number, source, extra = {}) => ({
+    number,
+    id: box.id,
+    source,
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height),
+    confidence: box.confidence ?? null,
+    class: box.class ?? null,
+    ...extra
+});
+
+/**
+ * Sidecar for one exported image. `counted` and `manual` are numbered exactly as on
+ * the overlay; `uncounted` lists AI boxes that were left out, with the reason.
+ */
+export const buildSidecar = async ({
+    imageBlob,
+    imageName,
+    count,
+    aiCount,
+    manualEdits,
+    capturedAt,
+    detectorId,
+    modelId,
+    threshold,
+    nms,
+    originalWidth,
+    originalHeight,
+    counted,
+    manual,
+    uncounted,
+    flagged,
+    sizeDecisions,
+    edits,
+    drug,
+    targetOutcome
+}) => ({
+    format: 'pill-counter-sidecar',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    capturedAt: capturedAt || null,
+    image: {
+        file: imageName,
+        sha256: await sha256Hex(await imageBlob.arrayBuffer()),
+        sourceWidth: originalWidth,
+        sourceHeight: originalHeight
+    },
+    count,
+    aiCount,
+    manualEdits,
+    model: { detectorId: detectorId || null, modelId: modelId || null },
+    threshold,
+    nms: nms === false ? false : (nms || {}),
+    drug: drug || null,
+    targetOutcome: targetOutcome || null,
+    edits,
+    boxes: [
+        ...counted.map((box, index) => toSidecarBox(box, index + 1, 'ai', {
+            sizeFlag: flagged[box.id] || null,
+            sizeDecision: sizeDecisions[box.id] || null
+        })),
+        ...manual.map((box, index) => toSidecarBox(box, counted.length + index + 1, 'manual'))
+    ],
+    uncounted: uncounted.flatMap(({ reason, boxes }) => boxes.map(box => toSidecarBox(box, null, 'ai', { reason })))
+});
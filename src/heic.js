@@ -0,0 +1,32 @@
+// heic.js
+// HEIC/HEIF support for the "Choose Photo" input. Safari decodes HEIC natively;
+// other browsers get a client-side conversion to JPEG (decoder loaded on demand).
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Detects HEIC/HEIF by MIME type, extension or the ISO-BMFF "ftyp" brand
+ */
+export const isHeic = async (file) => {
+    if (/image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || '')) return true;
+
+    const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+    const ftyp = String.fromCharCode(...header.slice(4, 8));
+    const brand = String.fromCharCode(...header.slice(8, 12));
+    return ftyp === 'ftyp' && HEIC_BRANDS.includes(brand);
+};
+
+/**
+ * Converts a HEIC/HEIF file to JPEG. The decoder (libheif compiled to JS) is
+ * ~1.3MB, so it is only fetched the first time a HEIC file needs converting.
+ */
+export const convertHeicToJpeg = async (file) => {
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+    const blob = Array.isArray(converted) ? converted[0] : converted;
+    const name = (file.name || 'photo').replace(/\.hei[cf]$/i, '') + '.jpg';
+
+    console.log(`HEIC converted: ${(file.size / 1024 / 1024).toFixed(2)}MB -> ${(blob.size / 1024 / 1024).toFixed(2)}MB JPEG`);
+
+    return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+};
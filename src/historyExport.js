@@ -0,0 +1,220 @@
+// historyExport.js
+// Audit exports of saved counts: CSV, JSON and a paginated PDF report with a
+// thumbnail per count. Everything is built in the browser from IndexedDB data.
+// jsPDF is bundled (not lazy-loaded) so the report also works offline.
+
+import { jsPDF } from 'jspdf';
+import { describeDrug } from './drugCodes';
+import { describeTargetOutcome } from './targetQuantity';
+import { countedAt } from './countHistory';
+
+/**
+ * Summary of the user's edits, e.g. "2 added, 1 removed, 1 excluded zone"
+ */
+export const describeAdjustments = (entry) => {
+    const corrections = entry.edits?.corrections;
+    const parts = [];
+    if (corrections?.added?.length) parts.push(`${corrections.added.length} added`);
+    if (corrections?.removedIds?.length) parts.push(`${corrections.removedIds.length} removed`);
+    if (entry.edits?.zones?.length) {
+        parts.push(`${entry.edits.zones.length} excluded zone${entry.edits.zones.length === 1 ? '' : 's'}`);
+    }
+    if (entry.edits?.excludedClasses?.length) parts.push(`excluded ${entry.edits.excludedClasses.join(', ')}`);
+    return parts.join(', ');
+};
+
+/**
+ * Photo quality check outcome, e.g. "passed" or "blur, glare (counted anyway)";
+ * empty when the check did not run (queued, video or restored counts)
+ */
+export const describeQuality = (quality) => {
+    if (!quality) return '';
+    if (quality.ok) return 'passed';
+    const issues = quality.issues.map(issue => issue.code).join(', ');
+    return quality.overridden ? `${issues} (counted anyway)` : issues;
+};
+
+/**
+ * Operator of record: the entered operator, or the counter who signed the verification
+ */
+const operatorOf = (entry) => entry.operator || entry.verification?.counter || '';
+
+/**
+ * One flat row per count, shared by the CSV and the PDF
+ */
+export const toExportRow = (entry) => ({
+    id: entry.id,
+    timestamp: countedAt(entry),
+    updatedAt: entry.updatedAt || '',
+    count: entry.count,
+    aiCount: entry.aiCount ?? entry.count,
+    adjusted: Boolean(entry.adjusted),
+    adjustments: describeAdjustments(entry),
+    threshold: entry.threshold,
+    quality: describeQuality(entry.quality),
+    drugName: entry.drugName || '',
+    ndc: entry.drug?.ndc || '',
+    lot: entry.drug?.lot || '',
+    expiry: entry.drug?.expiry || '',
+    target: entry.target || '',
+    targetOutcome: entry.targetOutcome ? describeTargetOutcome(entry.targetOutcome) : '',
+    operator: operatorOf(entry),
+    verification: entry.verification
+        ? `${entry.verification.status} by ${entry.verification.verifier}`
+        : '',
+    notes: entry.notes || ''
+});
+
+const CSV_COLUMNS = [
+    ['id', 'ID'],
+    ['timestamp', 'Timestamp'],
+    ['updatedAt', 'Last Edited'],
+    ['count', 'Count'],
+    ['aiCount', 'AI Count'],
+    ['adjusted', 'Adjusted'],
+    ['adjustments', 'Manual Adjustments'],
+    ['threshold', 'Threshold'],
+    ['quality', 'Photo Quality'],
+    ['drugName', 'Drug'],
+    ['ndc', 'NDC'],
+    ['lot', 'Lot'],
+    ['expiry', 'Expiry'],
+    ['target', 'Target'],
+    ['targetOutcome', 'Target Outcome'],
+    ['operator', 'Operator'],
+    ['verification', 'Verification'],
+    ['notes', 'Notes']
+];
+
+/**
+ * Quotes a CSV field; text starting with = + - @ is prefixed with ' so
+ * spreadsheets do not evaluate it as a formula
+ */
+const csvField = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyToCsv = (entries) => {
+    const header = CSV_COLUMNS.map(([, label]) => label).join(',');
+    const rows = entries.map((entry) => {
+        const row = toExportRow(entry);
+        return CSV_COLUMNS.map(([key]) => csvField(row[key])).join(',');
+    });
+    return new Blob([[header, ...rows].join('\r\n')], { type: 'text/csv' });
+};
+
+/**
+ * Full records (predictions and edits included) without the image blobs
+ */
+export const historyToJson = (entries, range = {}) => {
+    const report = {
+        exportedAt: new Date().toISOString(),
+        from: range.from || null,
+        to: range.to || null,
+        count: entries.length,
+        entries: entries.map(({ image, thumbnail, ...entry }) => entry)
+    };
+    return new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read thumbnail'));
+    reader.readAsDataURL(blob);
+});
+
+// A4 portrait layout, in millimetres
+const PAGE = { width: 210, height: 297, margin: 15 };
+const ROW_HEIGHT = 42;
+const THUMB_SIZE = 36;
+
+/**
+ * Paginated PDF report: header with the date range, then one row per count with
+ * its thumbnail and details, and "Page X of N" footers
+ */
+export const historyToPdf = async (entries, range = {}) => {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const textLeft = PAGE.margin + THUMB_SIZE + 6;
+    const textWidth = PAGE.width - PAGE.margin - textLeft;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text('Pill Count Report', PAGE.margin, PAGE.margin + 5);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(
+        `${range.from || 'All dates'} to ${range.to || 'today'} · ${entries.length} count${entries.length === 1 ? '' : 's'} · generated ${new Date().toLocaleString()}`,
+        PAGE.margin,
+        PAGE.margin + 11
+    );
+
+    let y = PAGE.margin + 18;
+    for (const entry of entries) {
+        if (y + ROW_HEIGHT > PAGE.height - PAGE.margin) {
+            doc.addPage();
+            y = PAGE.margin;
+        }
+
+        if (entry.thumbnail) {
+            try {
+                const dataUrl = await blobToDataUrl(entry.thumbnail);
+                const { width, height } = doc.getImageProperties(dataUrl);
+                const scale = THUMB_SIZE / Math.max(width, height);
+                doc.addImage(dataUrl, 'JPEG', PAGE.margin, y, width * scale, height * scale);
+            } catch (err) {
+                console.warn(`Thumbnail skipped for ${entry.id}:`, err);
+            }
+        }
+
+        const row = toExportRow(entry);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.text(
+            `${row.count} pills${row.adjusted ? ` (AI ${row.aiCount}, adjusted)` : ''}${row.targetOutcome ? ` · ${row.targetOutcome} (target ${row.target})` : ''}`,
+            textLeft,
+            y + 5
+        );
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        const details = [
+            `${new Date(row.timestamp).toLocaleString()}${row.updatedAt ? ` (edited ${new Date(row.updatedAt).toLocaleString()})` : ''}`,
+            [row.drugName, entry.drug ? describeDrug(entry.drug) : ''].filter(Boolean).join(' · ') || 'Drug not recorded',
+            [
+                row.threshold != null ? `Threshold ${Math.round(row.threshold * 100)}%` : '',
+                row.quality ? `Photo quality: ${row.quality}` : '',
+                row.adjustments
+            ].filter(Boolean).join(' · '),
+            `Operator ${row.operator || '-'}${row.verification ? ` · ${row.verification}` : ''}`,
+            row.notes
+        ].filter(Boolean);
+        const lines = doc.splitTextToSize(details.join('\n'), textWidth).slice(0, 7);
+        doc.text(lines, textLeft, y + 10);
+
+        doc.setDrawColor(220);
+        doc.line(PAGE.margin, y + ROW_HEIGHT - 3, PAGE.width - PAGE.margin, y + ROW_HEIGHT - 3);
+        y += ROW_HEIGHT;
+    }
+
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(120);
+        doc.text(`Page ${page} of ${pageCount}`, PAGE.width - PAGE.margin, PAGE.height - 8, { align: 'right' });
+    }
+
+    return doc.output('blob');
+};
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,110 @@
+// imagePipeline.js
+// Single-decode image pipeline. A photo is decoded once (in a worker when the browser
+// supports OffscreenCanvas) into an ImageBitmap, which is then reused for cropping,
+// tiling, on-device inference and drawing the results. The JPEG `file` alongside it is
+// only used for upload to a remote detector and for saving/sharing.
+//
+// Prepared image: { file, bitmap, width, height }
+
+import { decodeAndResize, transformBitmap } from './imagePipelineCore';
+import { isHeic, convertHeicToJpeg } from './heic';
+
+let worker = null;
+let nextRequestId = 1;
+const pending = new Map();
+
+const supportsWorkerPipeline = () => {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function' &&
+        typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+};
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./imagePipeline.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+
+            pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        };
+
+        worker.onerror = (event) => {
+            console.error('Image pipeline worker error:', event);
+            pending.forEach((request) => request.reject(new Error('Failed to load image. Please try again.')));
+            pending.clear();
+            worker = null;
+        };
+    }
+    return worker;
+};
+
+const runInWorker = (message, transfer = []) => {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        getWorker().postMessage({ id, ...message }, transfer);
+    });
+};
+
+const toPreparedImage = (result, name) => ({
+    file: new File([result.blob], name, { type: 'image/jpeg', lastModified: Date.now() }),
+    bitmap: result.bitmap,
+    width: result.width,
+    height: result.height
+});
+
+const decode = (blob) => {
+    return supportsWorkerPipeline()
+        ? runInWorker({ type: 'decode', blob })
+        : decodeAndResize(blob);
+};
+
+/**
+ * Decodes a photo once, downsizes it to MAX_DIMENSION and encodes a JPEG copy.
+ * HEIC/HEIF files the browser cannot decode are converted to JPEG first.
+ */
+export const prepareImage = async (file) => {
+    let result;
+    try {
+        result = await decode(file);
+    } catch (error) {
+        if (!(await isHeic(file))) throw error;
+
+        console.log('Browser cannot decode HEIC natively, converting...');
+        result = await decode(await convertHeicToJpeg(file));
+    }
+
+    if (result.sourceWidth !== result.width) {
+        console.log(`Resizing image from ${result.sourceWidth}x${result.sourceHeight} to ${result.width}x${result.height}`);
+    }
+    console.log(`Image compressed: ${(file.size / 1024 / 1024).toFixed(2)}MB -> ${(result.blob.size / 1024 / 1024).toFixed(2)}MB`);
+
+    return toPreparedImage(result, (file.name || 'photo.jpg').replace(/\.hei[cf]$/i, '.jpg'));
+};
+
+/**
+ * Rotates/crops a prepared image. The input bitmap is consumed (closed).
+ */
+export const transformImage = async (prepared, { rotation = 0, crop = null }) => {
+    const result = supportsWorkerPipeline()
+        ? await runInWorker({ type: 'transform', bitmap: prepared.bitmap, rotation, crop }, [prepared.bitmap])
+        : await transformBitmap(prepared.bitmap, { rotation, crop });
+
+    return toPreparedImage(result, prepared.file.name);
+};
+
+/**
+ * Frees the decoded pixels of a prepared image
+ */
+export const releaseImage = (prepared) => {
+    if (prepared?.bitmap) prepared.bitmap.close();
+};
@@ -0,0 +1,20 @@
+// imagePipeline.worker.js
+// Decodes, resizes and encodes photos off the main thread.
+// Messages in:  { id, type: 'decode', blob } | { id, type: 'transform', bitmap, rotation, crop }
+// Messages out: { id, result: { blob, bitmap, width, height, ... } } | { id, error }
+
+import { decodeAndResize, transformBitmap } from './imagePipelineCore';
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        const result = type === 'transform'
+            ? await transformBitmap(event.data.bitmap, event.data)
+            : await decodeAndResize(event.data.blob);
+
+        self.postMessage({ id, result }, [result.bitmap]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
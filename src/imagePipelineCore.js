@@ -0,0 +1,99 @@
+// imagePipelineCore.js
+// Decode / resize / crop / rotate / encode steps shared by the image pipeline worker
+// and its main-thread fallback. Uses OffscreenCanvas when available, so nothing here
+// touches the DOM unless the browser lacks it.
+
+import { stripOrientation } from './exif';
+
+export const MAX_DIMENSION = 4096; // Maximum width/height
+export const JPEG_QUALITY = 0.92;
+
+export const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+export const encodeJpeg = (canvas, quality = JPEG_QUALITY) => {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/jpeg', quality });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error('Failed to compress image'))),
+            'image/jpeg',
+            quality
+        );
+    });
+};
+
+const canvasToBitmap = (canvas) => {
+    if (canvas.transferToImageBitmap) return canvas.transferToImageBitmap();
+    return createImageBitmap(canvas);
+};
+
+/**
+ * Draws a bitmap mirrored (flipX) and rotated clockwise by a multiple of 90°, then
+ * cropped (crop normalized to the rotated image), scaled by `scale`. Returns the canvas.
+ */
+export const renderTransformed = (bitmap, { rotation = 0, flipX = false, crop = null, scale = 1 } = {}) => {
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const rotatedWidth = quarterTurn ? bitmap.height : bitmap.width;
+    const rotatedHeight = quarterTurn ? bitmap.width : bitmap.height;
+    const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+
+    const outWidth = Math.max(1, Math.round(area.width * rotatedWidth * scale));
+    const outHeight = Math.max(1, Math.round(area.height * rotatedHeight * scale));
+
+    const canvas = createCanvas(outWidth, outHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Move the crop origin to (0, 0), then rotate around the rotated image's center
+    ctx.scale(scale, scale);
+    ctx.translate(-area.x * rotatedWidth, -area.y * rotatedHeight);
+    ctx.translate(rotatedWidth / 2, rotatedHeight / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+    if (flipX) ctx.scale(-1, 1);
+    ctx.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+
+    return canvas;
+};
+
+/**
+ * Encodes the canvas and turns it into the bitmap that travels through the app
+ */
+const finish = async (canvas) => {
+    const blob = await encodeJpeg(canvas);
+    const bitmap = await canvasToBitmap(canvas);
+    return { blob, bitmap, width: bitmap.width, height: bitmap.height };
+};
+
+/**
+ * Decodes a file ONCE, applies its EXIF orientation, downsizes it to MAX_DIMENSION
+ * and re-encodes it as JPEG (the new JPEG carries no orientation tag)
+ */
+export const decodeAndResize = async (blob) => {
+    const { blob: rawBlob, transform } = await stripOrientation(blob);
+    const source = await createImageBitmap(rawBlob);
+    const sourceSize = { width: source.width, height: source.height };
+    const scale = Math.min(1, MAX_DIMENSION / source.width, MAX_DIMENSION / source.height);
+
+    const canvas = renderTransformed(source, { ...transform, scale });
+    source.close();
+
+    const result = await finish(canvas);
+    return { ...result, sourceWidth: sourceSize.width, sourceHeight: sourceSize.height };
+};
+
+/**
+ * Applies rotation + crop to an already decoded bitmap (no JPEG decode)
+ */
+export const transformBitmap = async (bitmap, { rotation = 0, crop = null }) => {
+    const canvas = renderTransformed(bitmap, { rotation, crop });
+    bitmap.close();
+    return finish(canvas);
+};
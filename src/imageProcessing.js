@@ -1,242 +1,185 @@
 // imageProcessing.js
-// Complete image processing utility for pill counter with Roboflow API integration
+// Complete image processing utility for pill counter with pluggable detector backends
 
-const ROBOFLOW_API_KEY = 'us5nPRXtK3HK3V4fF1DC';
-const ROBOFLOW_MODEL_ENDPOINT = 'https://serverless.roboflow.com/pill-detection-eye/1';
-const CONFIDENCE_THRESHOLD = 0.50; // 50% confidence threshold (matches CTMS app)
+import { getDetector } from './detectors';
+import { detectTiled, shouldTile, DEFAULT_TILE_SIZE } from './tiling';
+import { applyThreshold, DEFAULT_CONFIDENCE_THRESHOLD } from './postProcessing';
+import { prepareImage, releaseImage } from './imagePipeline';
+import { analyzeImageQuality } from './imageQuality';
 
 /**
  * Validates and compresses large images for processing
  * Fixes Issue #2: Images from distance failing to load
+ *
+ * Decodes the photo once (off the main thread where supported) and returns a
+ * prepared image { file, bitmap, width, height } that the rest of the pipeline reuses.
  */
 export const validateAndCompressImage = async (file) => {
     const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-    const MAX_DIMENSION = 4096; // Maximum width/height
 
     // Check file size first
     if (file.size > MAX_FILE_SIZE) {
         throw new Error('Image file is too large. Please try a closer photo or reduce image quality in camera settings.');
     }
 
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
         // Set timeout to prevent hanging
-        const timeoutId = setTimeout(() => {
-            URL.revokeObjectURL(img.src);
+        timeoutId = setTimeout(() => {
             reject(new Error('Image loading timed out. Please try a smaller image.'));
         }, 30000); // 30 second timeout
-
-        img.onload = () => {
-            clearTimeout(timeoutId);
-
-            let { width, height } = img;
-            const originalSize = { width, height };
-
-            // Calculate if resizing is needed
-            const needsResize = width > MAX_DIMENSION || height > MAX_DIMENSION;
-
-            if (needsResize) {
-                const scale = Math.min(MAX_DIMENSION / width, MAX_DIMENSION / height);
-                width = Math.floor(width * scale);
-                height = Math.floor(height * scale);
-
-                console.log(`Resizing image from ${originalSize.width}x${originalSize.height} to ${width}x${height}`);
-            }
-
-            canvas.width = width;
-            canvas.height = height;
-
-            // Use high-quality image rendering
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-
-            // Draw image
-            ctx.drawImage(img, 0, 0, width, height);
-
-            // Convert to blob with good quality
-            canvas.toBlob(
-                (blob) => {
-                    if (!blob) {
-                        reject(new Error('Failed to compress image'));
-                        return;
-                    }
-
-                    const compressedFile = new File([blob], file.name, {
-                        type: 'image/jpeg',
-                        lastModified: Date.now()
-                    });
-
-                    console.log(`Image compressed: ${(file.size / 1024 / 1024).toFixed(2)}MB -> ${(compressedFile.size / 1024 / 1024).toFixed(2)}MB`);
-
-                    resolve(compressedFile);
-                },
-                'image/jpeg',
-                0.92 // Quality setting
-            );
-
-            // Clean up
-            URL.revokeObjectURL(img.src);
-        };
-
-        img.onerror = () => {
-            clearTimeout(timeoutId);
-            URL.revokeObjectURL(img.src);
-            reject(new Error('Failed to load image. Please try again.'));
-        };
-
-        img.src = URL.createObjectURL(file);
-    });
-};
-
-/**
- * Converts a file to base64 string
- */
-const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            const base64 = reader.result;
-            // Remove data URL prefix if present
-            const base64Data = base64.split(',')[1] || base64;
-            resolve(base64Data);
-        };
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsDataURL(file);
     });
-};
-
-/**
- * Calls Roboflow API for pill detection
- */
-const callRoboflowAPI = async (base64Data, onProgress) => {
-    if (onProgress) onProgress(0.3);
 
     try {
-        const response = await fetch(`${ROBOFLOW_MODEL_ENDPOINT}?api_key=${ROBOFLOW_API_KEY}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: base64Data
-        });
-
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status}`);
-        }
-
-        if (onProgress) onProgress(0.7);
-
-        const data = await response.json();
-
-        // 🔍 DEBUG: Log full API response in CTMS style
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('🔬 PILL COUNTER API RESPONSE');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('📊 Full Response:', data);
-
-        if (data?.image) {
-            console.log(`📷 Image Size: ${data.image.width}x${data.image.height}`);
-        }
-
-        if (data?.predictions) {
-            console.log('📈 Total Detections:', data.predictions.length);
-            console.log('🎯 Predictions Detail:');
-            data.predictions.forEach((pred, idx) => {
-                const status = pred.confidence >= 0.50 ? '✅' : '❌';
-                console.log(`  ${status} [${idx + 1}] Conf: ${(pred.confidence * 100).toFixed(1)}% | ` +
-                    `Size: ${pred.width.toFixed(0)}x${pred.height.toFixed(0)} | ` +
-                    `Ratio: ${(pred.width / pred.height).toFixed(2)} | ` +
-                    `Pos: (${pred.x.toFixed(0)}, ${pred.y.toFixed(0)})`);
-            });
-        }
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
-        if (onProgress) onProgress(1.0);
-
-        return data;
+        return await Promise.race([prepareImage(file), timeout]);
     } catch (error) {
-        console.error('Roboflow API error:', error);
-        throw new Error('Failed to analyze image. Please try again.');
+        if (error.message.includes('timed out')) throw error;
+        console.error('Image decode error:', error);
+        throw new Error('Failed to load image. Please try again.');
+    } finally {
+        clearTimeout(timeoutId);
     }
 };
 
 /**
  * Processes image and returns results with original image preserved
  * Fixes Issue #1: Results image cropping
+ *
+ * `image` is a prepared image from validateAndCompressImage (decoded bitmap is
+ * reused, nothing is decoded again) or a plain File/Blob, which is prepared first.
+ *
+ * options.detector may be a detector instance ({ id, detect }) or a config
+ * object for getDetector (e.g. { provider: 'mock' }). Defaults to the
+ * provider configured through VITE_DETECTOR_PROVIDER.
+ *
+ * options.tiling enables sliced inference for distant/high-resolution photos:
+ * true, false (default) or 'auto' (only when the image is much larger than a tile).
+ * options.tileSize / options.tileOverlap tune the tiles.
+ *
+ * options.nms configures duplicate suppression ({ iouThreshold, containmentThreshold,
+ * classAware }); pass false to count every accepted box.
+ *
+ * options.threshold sets the initial confidence threshold (default 50%). Every raw
+ * prediction is kept in `predictions` so the results screen can re-count without
+ * calling the detector again.
+ *
+ * Before the detector is called the image is checked for blur, exposure, glare and
+ * contrast. When issues are found, options.onQualityIssues(quality) is awaited: resolve
+ * true to count anyway, false to stop (throws an error with `retake: true`).
+ * options.qualityCheck === false skips the check.
+ *
+ * options.signal (AbortSignal) cancels the detector call (throws with `cancelled: true`);
+ * options.onRequestStatus(status) reports retries and rate-limit countdowns.
  */
-export const processAndDisplayImage = async (imageFile, onProgress) => {
+export const processAndDisplayImage = async (image, onProgress, options = {}) => {
+    // Released on failure: the object URL always, the bitmap only when decoded here
+    // (a prepared image passed in stays with the caller)
+    let prepared = null;
+    let originalImageUrl = null;
+
     try {
         // Report progress
         if (onProgress) onProgress(10, 'Loading image...');
 
-        // Create object URL for original image display
-        const originalImageUrl = URL.createObjectURL(imageFile);
-
-        // Load image to get dimensions
-        const img = new Image();
-        img.src = originalImageUrl;
+        prepared = image instanceof Blob ? await prepareImage(image) : image;
 
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = () => reject(new Error('Failed to load image'));
-
-            // Timeout after 15 seconds
-            setTimeout(() => reject(new Error('Image loading timeout')), 15000);
-        });
+        // Create object URL for original image display / saving
+        originalImageUrl = URL.createObjectURL(prepared.file);
 
         if (onProgress) onProgress(30, 'Preparing for analysis...');
 
         // Store original dimensions
-        const originalWidth = img.naturalWidth;
-        const originalHeight = img.naturalHeight;
+        const originalWidth = prepared.width;
+        const originalHeight = prepared.height;
 
         console.log(`Original image dimensions: ${originalWidth}x${originalHeight}`);
 
-        // Convert ORIGINAL file to base64 (no compression - matches CTMS app)
-        const base64Data = await fileToBase64(imageFile);
-        console.log(`Sending raw base64 to API (no compression)`);
+        // Catch bad photos before spending a detector call on them
+        let quality = null;
+        if (options.qualityCheck !== false) {
+            if (onProgress) onProgress(40, 'Checking photo quality...');
+            quality = { ...analyzeImageQuality(prepared.bitmap), overridden: false };
+
+            if (!quality.ok && options.onQualityIssues) {
+                const proceed = await options.onQualityIssues(quality);
+                if (!proceed) {
+                    throw Object.assign(new Error('Retake requested after quality check'), { retake: true });
+                }
+                quality.overridden = true;
+            }
+        }
+
+        const detector = typeof options.detector?.detect === 'function'
+            ? options.detector
+            : getDetector(options.detector);
+
+        const tileSize = options.tileSize || DEFAULT_TILE_SIZE;
+        const useTiling = options.tiling === 'auto'
+            ? shouldTile(originalWidth, originalHeight, tileSize)
+            : Boolean(options.tiling);
 
         if (onProgress) onProgress(50, 'Detecting pills...');
 
-        // Call Roboflow API
-        const apiResult = await callRoboflowAPI(base64Data, (progress) => {
-            if (onProgress) onProgress(50 + progress * 40, 'Detecting pills...');
-        });
+        let apiResult;
+        if (useTiling) {
+            // Slice the already-resized image (MAX_DIMENSION 4096) into overlapping tiles
+            apiResult = await detectTiled(prepared.bitmap, detector, {
+                tileSize,
+                overlap: options.tileOverlap,
+                signal: options.signal,
+                onStatus: options.onRequestStatus,
+                onTileProgress: (fraction, tileNumber, tileCount) => {
+                    if (onProgress) onProgress(50 + fraction * 40, `Detecting pills (tile ${tileNumber} of ${tileCount})...`);
+                }
+            });
+        } else {
+            // Send the prepared file to the detector (on-device detectors use the bitmap)
+            apiResult = await detector.detect(prepared.file, {
+                width: originalWidth,
+                height: originalHeight,
+                bitmap: prepared.bitmap,
+                signal: options.signal,
+                onStatus: options.onRequestStatus,
+                onProgress: (progress) => {
+                    if (onProgress) onProgress(50 + progress * 40, 'Detecting pills...');
+                }
+            });
+        }
 
         if (onProgress) onProgress(90, 'Finalizing results...');
 
-        // Process predictions from Roboflow
-        let detections = [];
-
-        if (apiResult?.predictions && Array.isArray(apiResult.predictions)) {
+        const threshold = options.threshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+
+        // Detectors return center x,y and width,height
+        // Convert to top-left corner for drawing
+        const predictions = apiResult.predictions.map((p, i) => ({
+            id: i,
+            x: p.x - (p.width / 2),
+            y: p.y - (p.height / 2),
+            width: p.width,
+            height: p.height,
+            confidence: p.confidence,
+            class: p.class
+        }));
+
+        if (predictions.length > 0) {
             // Log ALL predictions with their confidence
             console.log('=== ALL PREDICTIONS DEBUG ===');
             apiResult.predictions.forEach((p, i) => {
-                const status = p.confidence >= CONFIDENCE_THRESHOLD ? '✅ ACCEPTED' : '❌ REJECTED';
+                const status = p.confidence >= threshold ? '✅ ACCEPTED' : '❌ REJECTED';
                 console.log(`${i + 1}. ${status} | Confidence: ${(p.confidence * 100).toFixed(1)}% | Position: (${p.x.toFixed(0)}, ${p.y.toFixed(0)})`);
             });
-            console.log(`Threshold: ${CONFIDENCE_THRESHOLD * 100}%`);
+            console.log(`Threshold: ${threshold * 100}%`);
             console.log('=============================');
+        }
+
+        // Filter by confidence threshold and merge double-boxes so one pill is not counted twice
+        const nmsOptions = options.nms === false ? false : (options.nms || {});
+        const { detections, rejected, duplicates } = applyThreshold(predictions, threshold, nmsOptions);
 
-            // Filter by confidence threshold and format detections
-            detections = apiResult.predictions
-                .filter(p => p.confidence >= CONFIDENCE_THRESHOLD)
-                .map(p => ({
-                    // Roboflow returns center x,y and width,height
-                    // Convert to top-left corner for drawing
-                    x: p.x - (p.width / 2),
-                    y: p.y - (p.height / 2),
-                    width: p.width,
-                    height: p.height,
-                    confidence: p.confidence,
-                    class: p.class
-                }));
-
-            const rejected = apiResult.predictions.filter(p => p.confidence < CONFIDENCE_THRESHOLD);
-            console.log(`📊 Summary: ${detections.length} accepted, ${rejected.length} rejected (below ${CONFIDENCE_THRESHOLD * 100}%)`);
+        console.log(`📊 Summary: ${detections.length} accepted, ${rejected.length} rejected (below ${threshold * 100}%)`);
+        if (duplicates?.merged > 0) {
+            console.log(`🔁 Duplicates merged: ${duplicates.merged} (${duplicates.overlap} overlap, ${duplicates.contained} contained)`);
         }
 
         if (onProgress) onProgress(100, 'Complete!');
@@ -244,15 +187,27 @@ export const processAndDisplayImage = async (imageFile, onProgress) => {
         // Return complete result object
         return {
             originalImageUrl,
+            imageBitmap: prepared.bitmap,
             originalWidth,
             originalHeight,
+            predictions,
+            threshold,
+            nms: nmsOptions,
             detections,
             pillCount: detections.length,
+            detectorId: detector.id,
+            // Reported by the service when it can (the proxy's X-Model-Id), else the detector's own
+            modelId: apiResult.modelId || detector.modelId || detector.id,
+            tiling: apiResult.tiling || null,
+            duplicates,
+            quality,
             timestamp: new Date().toISOString()
         };
 
     } catch (error) {
         console.error('Image processing error:', error);
+        if (originalImageUrl) URL.revokeObjectURL(originalImageUrl);
+        if (image instanceof Blob) releaseImage(prepared);
         throw error;
     }
 };
@@ -336,10 +291,15 @@ export const createDownloadableResult = async (originalImageUrl, detections, ori
  */
 export const getErrorMessage = (error) => {
     const errorMessages = {
+        'video too large': 'Video file is too large. Record a shorter clip (max 200MB).',
+        'failed to load video': 'Could not play this video. Try an MP4 or MOV clip recorded on this device.',
+        'video length': 'Could not read this video. Try an MP4 or MOV clip recorded on this device.',
         'too large': 'Image file is too large. Try taking a photo from a closer distance or reduce camera quality settings.',
         'timeout': 'Processing took too long. Please try again with a clearer photo.',
         'failed to load': 'Could not load the image. Please try again.',
         'out of memory': 'Not enough memory to process this image. Try taking a photo from closer.',
+        'model not installed': 'The on-device model is not installed. Turn off On-device mode or add the model file.',
+        'rate limited': 'The detection service is busy. Please wait a minute and try again.',
         'api request failed': 'Could not connect to the detection service. Please check your internet connection.',
         'failed to analyze': 'Failed to analyze the image. Please try again.',
     };
@@ -0,0 +1,142 @@
+// imageQuality.js
+// Pre-submission photo quality check: blur, exposure, glare and pill/background contrast.
+// Runs on a small downscaled copy of the decoded bitmap, so it costs a few milliseconds.
+
+import { createCanvas } from './imagePipelineCore';
+
+const ANALYSIS_SIZE = 512; // longest side of the analysis copy
+
+export const QUALITY_THRESHOLDS = {
+    minSharpness: 60,        // Laplacian variance below this looks blurred
+    minBrightness: 55,       // mean luminance (0-255)
+    maxBrightness: 215,
+    maxDarkFraction: 0.45,   // share of pixels below 25
+    maxBrightFraction: 0.45, // share of pixels above 240
+    maxGlareFraction: 0.015, // share of fully saturated pixels forming highlights
+    minContrast: 35          // luminance gap between the two Otsu classes
+};
+
+/**
+ * Grayscale (Rec. 601 luma) copy of the bitmap, longest side ANALYSIS_SIZE
+ */
+const toGrayscale = (bitmap) => {
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return { gray, width, height };
+};
+
+/**
+ * Variance of the 4-neighbour Laplacian - low values mean few sharp edges
+ */
+const laplacianVariance = ({ gray, width, height }) => {
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+            sum += lap;
+            sumSq += lap * lap;
+            n++;
+        }
+    }
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+};
+
+/**
+ * Otsu split of the luminance histogram; the gap between the class means
+ * approximates pill-vs-background contrast
+ */
+const otsuContrast = (histogram, total) => {
+    let sumAll = 0;
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = -1;
+    let bestGap = 0;
+
+    for (let t = 0; t < 256; t++) {
+        weightBackground += histogram[t];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += t * histogram[t];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sumAll - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            bestGap = meanForeground - meanBackground;
+        }
+    }
+    return bestGap;
+};
+
+/**
+ * Scores a decoded image and lists the reasons a retake is recommended.
+ * Returns { scores, issues: [{ code, message }], ok }.
+ */
+export const analyzeImageQuality = (bitmap, thresholds = QUALITY_THRESHOLDS) => {
+    const image = toGrayscale(bitmap);
+    const total = image.gray.length;
+    const histogram = new Array(256).fill(0);
+    let sum = 0;
+
+    for (let i = 0; i < total; i++) {
+        const value = Math.min(255, Math.round(image.gray[i]));
+        histogram[value]++;
+        sum += value;
+    }
+
+    const count = (from, to) => histogram.slice(from, to + 1).reduce((a, b) => a + b, 0);
+
+    const scores = {
+        sharpness: laplacianVariance(image),
+        brightness: sum / total,
+        darkFraction: count(0, 24) / total,
+        brightFraction: count(241, 255) / total,
+        glareFraction: count(252, 255) / total,
+        contrast: otsuContrast(histogram, total)
+    };
+
+    const issues = [];
+    if (scores.sharpness < thresholds.minSharpness) {
+        issues.push({ code: 'blur', message: 'The photo looks blurry. Hold the camera steady and tap to focus.' });
+    }
+    if (scores.brightness < thresholds.minBrightness || scores.darkFraction > thresholds.maxDarkFraction) {
+        issues.push({ code: 'underexposed', message: 'The photo is too dark. Add light or move away from shadows.' });
+    }
+    const overexposed = scores.brightness > thresholds.maxBrightness || scores.brightFraction > thresholds.maxBrightFraction;
+    if (overexposed) {
+        issues.push({ code: 'overexposed', message: 'The photo is overexposed. Reduce direct light on the tray.' });
+    }
+    if (!overexposed && scores.glareFraction > thresholds.maxGlareFraction) {
+        issues.push({ code: 'glare', message: 'Glare detected. Tilt the tray or camera to avoid reflections.' });
+    }
+    if (scores.contrast < thresholds.minContrast) {
+        issues.push({ code: 'low-contrast', message: 'Pills blend into the background. Use a contrasting tray or surface.' });
+    }
+
+    console.log('🔎 Image quality:', Object.fromEntries(
+        Object.entries(scores).map(([key, value]) => [key, Number(value.toFixed(3))])
+    ), issues.map(i => i.code));
+
+    return { scores, issues, ok: issues.length === 0 };
+};
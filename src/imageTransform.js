@@ -0,0 +1,38 @@
+// imageTransform.js
+// Crop and rotation applied between validation and detection.
+// The transform is baked into the pixels, so the detector, originalWidth/originalHeight
+// and every box coordinate all refer to the same cropped + rotated image.
+
+import { renderTransformed, encodeJpeg } from './imagePipelineCore';
+import { transformImage } from './imagePipeline';
+
+/**
+ * Normalizes a rotation in degrees to 0, 90, 180 or 270
+ */
+export const normalizeRotation = (degrees) => ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+
+/**
+ * Small rotated preview for the crop editor, drawn from the already decoded bitmap.
+ * Returns an object URL the caller must revoke.
+ */
+export const createRotatedPreview = async (bitmap, rotation, maxDimension = 1200) => {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = renderTransformed(bitmap, { rotation: normalizeRotation(rotation), scale });
+    const blob = await encodeJpeg(canvas, 0.85);
+    return URL.createObjectURL(blob);
+};
+
+/**
+ * Applies rotation, then crop, to a prepared image ({ file, bitmap, width, height }).
+ * crop is normalized (0..1) against the ROTATED image: { x, y, width, height }.
+ * Returns the prepared image untouched when there is nothing to do.
+ */
+export const applyCropAndRotation = async (prepared, { rotation = 0, crop = null } = {}) => {
+    const turn = normalizeRotation(rotation);
+    if (turn === 0 && !crop) return prepared;
+
+    const result = await transformImage(prepared, { rotation: turn, crop });
+    console.log(`Crop/rotate applied: ${prepared.width}x${prepared.height} rotated ${turn}° -> ${result.width}x${result.height}`);
+
+    return result;
+};
@@ -0,0 +1,134 @@
+// liveCounting.js
+// Live counting on the camera stream: downscaled frame sampling, detector choice
+// and a running count stabilized with a median over the last few frames.
+
+import { getDetector } from './detectors';
+import { applyThreshold } from './postProcessing';
+import { createCanvas, encodeJpeg } from './imagePipelineCore';
+
+export const LIVE_FRAME_SIZE = 640;     // longest side of a sampled frame
+export const STABILITY_WINDOW = 5;      // frames in the running median
+
+// Minimum time between samples; remote detectors are throttled harder to stay
+// well inside the proxy's rate limit
+const SAMPLE_INTERVAL_MS = {
+    onDevice: 400,
+    remote: 2500
+};
+
+/**
+ * Detector for live mode: on-device when the app's On-device mode is on (the model
+ * was found and the user kept it enabled), otherwise the configured provider
+ */
+export const pickLiveDetector = (onDevice) => {
+    return onDevice ? getDetector({ provider: 'on-device' }) : getDetector();
+};
+
+export const liveSampleInterval = (detector) => {
+    return detector.id === 'on-device' ? SAMPLE_INTERVAL_MS.onDevice : SAMPLE_INTERVAL_MS.remote;
+};
+
+/**
+ * Adds a frame's count to the history, keeping the last windowSize entries
+ */
+export const pushCount = (history, count, windowSize = STABILITY_WINDOW) => {
+    return [...history, count].slice(-windowSize);
+};
+
+/**
+ * Median of the recent counts, so one noisy frame does not make the number jump
+ */
+export const stableCount = (history) => {
+    if (history.length === 0) return null;
+    const sorted = [...history].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+        ? sorted[middle]
+        : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Samples the current video frame at LIVE_FRAME_SIZE and runs the detector on it.
+ * Returns { image, predictions, modelId } with raw center-format predictions in
+ * video pixels, or null before the video has a frame.
+ */
+export const sampleVideoFrame = async (video, detector) => {
+    const videoWidth = video.videoWidth;
+    const videoHeight = video.videoHeight;
+    if (!videoWidth || !videoHeight) return null;
+
+    const scale = Math.min(1, LIVE_FRAME_SIZE / Math.max(videoWidth, videoHeight));
+    const width = Math.round(videoWidth * scale);
+    const height = Math.round(videoHeight * scale);
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    // On-device detectors read the bitmap; remote ones need an encoded file
+    const bitmap = detector.id === 'on-device' ? await createImageBitmap(canvas) : null;
+    const file = bitmap ? null : await encodeJpeg(canvas, 0.8);
+
+    try {
+        const result = await detector.detect(file, { width, height, bitmap });
+        return {
+            image: { width: videoWidth, height: videoHeight },
+            predictions: result.predictions.map((p) => ({
+                ...p,
+                x: p.x / scale,
+                y: p.y / scale,
+                width: p.width / scale,
+                height: p.height / scale
+            })),
+            modelId: result.modelId || detector.modelId || detector.id
+        };
+    } finally {
+        if (bitmap) bitmap.close();
+    }
+};
+
+/**
+ * Accepted detections (top-left boxes in video pixels) for the current video frame,
+ * after threshold and NMS
+ */
+export const detectVideoFrame = async (video, detector, threshold) => {
+    const frame = await sampleVideoFrame(video, detector);
+    if (!frame) return null;
+
+    const predictions = frame.predictions.map((p, i) => ({
+        id: i,
+        x: p.x - p.width / 2,
+        y: p.y - p.height / 2,
+        width: p.width,
+        height: p.height,
+        confidence: p.confidence,
+        class: p.class
+    }));
+
+    return applyThreshold(predictions, threshold).detections;
+};
+
+/**
+ * Detector that answers with the detections already made on a frozen live frame
+ * (from sampleVideoFrame), scaled to the size it is asked for. Lets the frozen photo
+ * go through the normal results pipeline without a second, different detection.
+ */
+export const createFrozenFrameDetector = ({ detectorId, modelId, image, predictions }) => ({
+    id: detectorId,
+    modelId,
+    detect: async (file, { width = image.width, height = image.height } = {}) => {
+        const scaleX = width / image.width;
+        const scaleY = height / image.height;
+        return {
+            providerId: detectorId,
+            image: { width, height },
+            modelId,
+            predictions: predictions.map((p) => ({
+                ...p,
+                x: p.x * scaleX,
+                y: p.y * scaleY,
+                width: p.width * scaleX,
+                height: p.height * scaleY
+            }))
+        };
+    }
+});
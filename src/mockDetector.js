@@ -0,0 +1,56 @@
+// mockDetector.js
+// Deterministic local detector for offline development and testing.
+// Kept free of imports so the Node stand-in model server (scripts/mock-model-server.js) can use it too.
+
+/**
+ * Small seeded PRNG (mulberry32) so the mock detector is reproducible
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Lays out `count` pills on a jittered grid; the same seed and image size
+ * always produce the same predictions, including a few low-confidence ones.
+ */
+export const createMockDetector = ({ seed = 42, count = 24 } = {}) => ({
+    id: 'mock',
+    modelId: `mock-seed-${seed}`,
+    detect: async (imageFile, { width, height, onProgress } = {}) => {
+        if (onProgress) onProgress(0.3);
+
+        const random = createRandom(seed);
+        const cols = Math.ceil(Math.sqrt(count * (width / height)));
+        const rows = Math.ceil(count / cols);
+        const cellW = width / cols;
+        const cellH = height / rows;
+        const pillSize = Math.min(cellW, cellH) * 0.6;
+
+        const predictions = [];
+        for (let i = 0; i < count; i++) {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            predictions.push({
+                x: (col + 0.5) * cellW + (random() - 0.5) * (cellW - pillSize) * 0.5,
+                y: (row + 0.5) * cellH + (random() - 0.5) * (cellH - pillSize) * 0.5,
+                width: pillSize * (0.85 + random() * 0.3),
+                height: pillSize * (0.85 + random() * 0.3),
+                // Every sixth pill comes back below the default threshold
+                confidence: i % 6 === 5 ? 0.3 + random() * 0.15 : 0.7 + random() * 0.29,
+                class: 'pill'
+            });
+        }
+
+        console.log(`🧪 Mock detector (seed ${seed}): ${predictions.length} predictions`);
+        if (onProgress) onProgress(1.0);
+
+        return { providerId: 'mock', image: { width, height }, predictions };
+    }
+});
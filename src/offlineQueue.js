@@ -0,0 +1,123 @@
+// offlineQueue.js
+// Captures that could not be counted (offline, timeouts, server errors) are kept in
+// IndexedDB with their timestamp and counted automatically once the connection is back.
+// Items: { id, createdAt, status: 'pending' | 'done' | 'failed', image (Blob), options,
+//          tags ({ drug, target } at capture time), result (serializable part of
+//          processAndDisplayImage's result), error }
+
+import { STORES, putRecord, getAllRecords, deleteRecord } from './db';
+import { processAndDisplayImage } from './imageProcessing';
+import { isCancelledError } from './detectorRequest';
+
+let processing = false;
+
+// Retry schedule for pending items while the app stays open: 30s, 1m, 2m, ... up to 10m
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * Delay before the next automatic queue run after `attempt` runs left items pending
+ */
+export const queueRetryDelay = (attempt) => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+/**
+ * True when the failure is worth retrying later rather than reporting:
+ * no connectivity, timeouts, 5xx and rate limits. Cancellation and
+ * client errors (bad or oversized image) are not queued.
+ */
+export const isQueueableError = (error) => {
+    if (isCancelledError(error) || error?.retake) return false;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    if (error?.status && error.status < 500 && error.status !== 429) return false;
+    return /timeout|api request failed/i.test(error?.message || '');
+};
+
+/**
+ * Stores a prepared image (already cropped/rotated) with the count options to use later.
+ * tags keeps the scanned drug and parsed target that were active when it was taken.
+ */
+export const enqueueCapture = async (image, options = {}, { drug = null, target = null } = {}) => {
+    const item = {
+        id: `capture-${Date.now()}`,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+        image,
+        options,
+        tags: { drug, target },
+        result: null,
+        error: null
+    };
+    await putRecord(STORES.queue, item);
+    console.log(`📥 Queued capture ${item.id} for later counting`);
+    return item;
+};
+
+export const listQueue = async () => {
+    const items = await getAllRecords(STORES.queue);
+    return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const removeFromQueue = (id) => deleteRecord(STORES.queue, id);
+
+export const retryQueued = (item) => putRecord(STORES.queue, { ...item, status: 'pending', error: null });
+
+/**
+ * Counts every pending item in order. Stops at the first connectivity failure
+ * (the rest stay pending for the next run); other failures mark the item 'failed'.
+ * onItemDone(item) / onItemFailed(item) are called as each item settles.
+ */
+export const processQueue = async ({ onItemDone, onItemFailed } = {}) => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        const pending = (await listQueue()).filter(item => item.status === 'pending');
+        if (pending.length > 0) console.log(`📤 Processing ${pending.length} queued capture(s)`);
+
+        for (const item of pending) {
+            try {
+                const result = await processAndDisplayImage(item.image, null, {
+                    ...item.options,
+                    qualityCheck: false
+                });
+
+                // Only the serializable part is stored; the image is rebuilt from the blob
+                const { originalImageUrl, imageBitmap, ...stored } = result;
+                URL.revokeObjectURL(originalImageUrl);
+                imageBitmap.close();
+
+                const done = { ...item, status: 'done', result: stored };
+                await putRecord(STORES.queue, done);
+                if (onItemDone) onItemDone(done);
+            } catch (error) {
+                if (isQueueableError(error)) {
+                    console.warn('Queue paused, still unable to reach the detector:', error.message);
+                    break;
+                }
+                const failed = { ...item, status: 'failed', error: error.message };
+                await putRecord(STORES.queue, failed);
+                if (onItemFailed) onItemFailed(failed);
+            }
+        }
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * Rebuilds a full results object (image URL + bitmap) for ResultsDisplay, with the
+ * capture-time drug and target restored the same way as a history entry's
+ */
+export const openQueuedResult = async (item) => {
+    const imageBitmap = await createImageBitmap(item.image);
+    return {
+        ...item.result,
+        originalImageUrl: URL.createObjectURL(item.image),
+        imageBitmap,
+        queuedAt: item.createdAt,
+        restored: {
+            drug: item.tags?.drug || null,
+            target: item.tags?.target || null
+        }
+    };
+};
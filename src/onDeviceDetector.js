@@ -0,0 +1,100 @@
+// onDeviceDetector.js
+// On-device detector provider: runs a bundled ONNX model through WebAssembly
+// inside a Web Worker. No network call and no image leaves the device.
+
+import { cancelledError } from './detectorRequest';
+import { MODEL_NOT_INSTALLED, checkOnDeviceModel } from './onDeviceModel';
+
+let worker = null;
+let nextRequestId = 1;
+const pending = new Map();
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./onDeviceDetector.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (event) => {
+            const { type, id } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+
+            if (type === 'progress') {
+                if (request.onProgress) request.onProgress(event.data.progress);
+                return;
+            }
+
+            pending.delete(id);
+            if (type === 'result') {
+                request.resolve(event.data.predictions);
+            } else {
+                request.reject(new Error(event.data.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            console.error('On-device detector worker error:', event);
+            pending.forEach((request) => request.reject(new Error('On-device detector crashed')));
+            pending.clear();
+            worker = null;
+        };
+    }
+    return worker;
+};
+
+/**
+ * True when the browser can run the worker pipeline (module workers + OffscreenCanvas)
+ */
+export const isOnDeviceSupported = () => {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+};
+
+/**
+ * On-device provider. modelUrl points at a YOLO ONNX export served from /public,
+ * classNames maps output class indices to names.
+ */
+export const createOnDeviceDetector = ({ modelUrl, classNames = ['pill'], inputSize = 640 }) => ({
+    id: 'on-device',
+    modelId: modelUrl.split('/').pop(),
+    // Resolves true when the model file is cached or can be downloaded
+    checkModel: () => checkOnDeviceModel(modelUrl),
+    detect: async (imageFile, { width, height, bitmap: sourceBitmap, onProgress, signal } = {}) => {
+        if (!isOnDeviceSupported()) {
+            throw new Error('On-device detection is not supported in this browser');
+        }
+        if (signal?.aborted) throw cancelledError();
+
+        // Transfer a copy of the already decoded bitmap (or decode the file if there is none);
+        // the worker owns the copy from then on
+        const bitmap = await createImageBitmap(sourceBitmap || imageFile);
+        const id = nextRequestId++;
+
+        let predictions;
+        try {
+            predictions = await new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, onProgress });
+                getWorker().postMessage(
+                    { type: 'detect', id, bitmap, modelUrl, classNames, inputSize },
+                    [bitmap]
+                );
+            });
+        } catch (error) {
+            console.error('On-device detection error:', error);
+            if (error.message === MODEL_NOT_INSTALLED) throw error;
+            throw new Error('Failed to analyze image. Please try again.');
+        }
+
+        // The worker cannot be interrupted mid-inference; drop the result instead
+        if (signal?.aborted) throw cancelledError();
+        if (onProgress) onProgress(1.0);
+
+        console.log(`📱 On-device detections: ${predictions.length}`);
+
+        return {
+            providerId: 'on-device',
+            image: { width, height },
+            predictions
+        };
+    }
+});
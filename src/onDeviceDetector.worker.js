@@ -0,0 +1,135 @@
+// onDeviceDetector.worker.js
+// Runs a bundled YOLO ONNX model on the CPU (WebAssembly) off the main thread.
+// Messages in:  { type: 'detect', id, bitmap, modelUrl, classNames, inputSize }
+// Messages out: { type: 'progress', id, progress } | { type: 'result', id, predictions } | { type: 'error', id, message }
+
+import * as ort from 'onnxruntime-web/wasm';
+import wasmUrl from 'onnxruntime-web/ort-wasm-simd-threaded.wasm?url';
+import { suppressDuplicates } from './postProcessing';
+import { loadOnDeviceModel } from './onDeviceModel';
+
+// Serve the runtime from our own bundle so inference works fully offline
+ort.env.wasm.wasmPaths = { wasm: wasmUrl };
+ort.env.wasm.numThreads = 1;
+
+const MIN_SCORE = 0.1;        // keep low scores so the results screen can show ghosts
+const RAW_NMS_IOU = 0.7;      // coarse pass on raw anchors; the app runs its own NMS afterwards
+
+let sessionPromise = null;
+let sessionModelUrl = null;
+
+const getSession = (modelUrl) => {
+    if (!sessionPromise || sessionModelUrl !== modelUrl) {
+        sessionModelUrl = modelUrl;
+        sessionPromise = loadOnDeviceModel(modelUrl)
+            .then((model) => ort.InferenceSession.create(model, { executionProviders: ['wasm'] }))
+            .catch((error) => {
+                sessionPromise = null;
+                throw error;
+            });
+    }
+    return sessionPromise;
+};
+
+/**
+ * Letterboxes the bitmap into a square input and returns a CHW float tensor
+ * plus the scale/padding needed to map boxes back to image pixels
+ */
+const preprocess = (bitmap, inputSize) => {
+    const scale = Math.min(inputSize / bitmap.width, inputSize / bitmap.height);
+    const drawWidth = Math.round(bitmap.width * scale);
+    const drawHeight = Math.round(bitmap.height * scale);
+    const padX = Math.floor((inputSize - drawWidth) / 2);
+    const padY = Math.floor((inputSize - drawHeight) / 2);
+
+    const canvas = new OffscreenCanvas(inputSize, inputSize);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgb(114, 114, 114)';
+    ctx.fillRect(0, 0, inputSize, inputSize);
+    ctx.drawImage(bitmap, padX, padY, drawWidth, drawHeight);
+
+    const { data } = ctx.getImageData(0, 0, inputSize, inputSize);
+    const area = inputSize * inputSize;
+    const tensor = new Float32Array(3 * area);
+    for (let i = 0; i < area; i++) {
+        tensor[i] = data[i * 4] / 255;
+        tensor[i + area] = data[i * 4 + 1] / 255;
+        tensor[i + area * 2] = data[i * 4 + 2] / 255;
+    }
+
+    return { tensor, scale, padX, padY };
+};
+
+/**
+ * Decodes YOLO output into center-based predictions in image pixels.
+ * Supports YOLOv8 [1, 4 + classes, anchors] and YOLOv5 [1, anchors, 5 + classes].
+ */
+const decodeOutput = (output, { scale, padX, padY }, classNames) => {
+    const [, a, b] = output.dims;
+    const data = output.data;
+    const isV8 = a < b;
+    const anchors = isV8 ? b : a;
+    const channels = isV8 ? a : b;
+    const hasObjectness = !isV8;
+    const classOffset = hasObjectness ? 5 : 4;
+    const at = (anchor, channel) => (isV8 ? data[channel * anchors + anchor] : data[anchor * channels + channel]);
+
+    const boxes = [];
+    for (let i = 0; i < anchors; i++) {
+        let best = 0;
+        let bestClass = 0;
+        for (let c = classOffset; c < channels; c++) {
+            const score = at(i, c);
+            if (score > best) {
+                best = score;
+                bestClass = c - classOffset;
+            }
+        }
+
+        const confidence = hasObjectness ? best * at(i, 4) : best;
+        if (confidence < MIN_SCORE) continue;
+
+        const width = at(i, 2) / scale;
+        const height = at(i, 3) / scale;
+        boxes.push({
+            // top-left for suppressDuplicates
+            x: (at(i, 0) - padX) / scale - width / 2,
+            y: (at(i, 1) - padY) / scale - height / 2,
+            width,
+            height,
+            confidence,
+            class: classNames[bestClass] || `class-${bestClass}`
+        });
+    }
+
+    const { detections } = suppressDuplicates(boxes, { iouThreshold: RAW_NMS_IOU, classAware: true });
+
+    return detections.map(d => ({ ...d, x: d.x + d.width / 2, y: d.y + d.height / 2 }));
+};
+
+self.onmessage = async (event) => {
+    const { type, id, bitmap, modelUrl, classNames, inputSize } = event.data;
+    if (type !== 'detect') return;
+
+    try {
+        self.postMessage({ type: 'progress', id, progress: 0.1 });
+        const session = await getSession(modelUrl);
+
+        self.postMessage({ type: 'progress', id, progress: 0.4 });
+        const input = preprocess(bitmap, inputSize);
+
+        const feeds = {
+            [session.inputNames[0]]: new ort.Tensor('float32', input.tensor, [1, 3, inputSize, inputSize])
+        };
+        const results = await session.run(feeds);
+        self.postMessage({ type: 'progress', id, progress: 0.9 });
+
+        const predictions = decodeOutput(results[session.outputNames[0]], input, classNames);
+        self.postMessage({ type: 'result', id, predictions });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message || String(error) });
+    } finally {
+        // The worker owns the transferred bitmap; release it whether or not inference worked
+        bitmap?.close();
+    }
+};
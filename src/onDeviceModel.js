@@ -0,0 +1,47 @@
+// onDeviceModel.js
+// Locating and caching the on-device ONNX model. The first successful download is
+// kept in Cache Storage, so on-device mode keeps working after the app goes offline.
+// Shared by the main thread (availability check) and the detector worker (loading).
+
+const MODEL_CACHE = 'pill-counter-models';
+
+export const MODEL_NOT_INSTALLED = 'On-device model not installed';
+
+const openModelCache = () => (typeof caches !== 'undefined' ? caches.open(MODEL_CACHE) : Promise.resolve(null));
+
+// Static hosts (and the Vite dev server) answer unknown paths with the app's index.html
+const isModelResponse = (response) => {
+    return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+};
+
+/**
+ * True when the model is cached or the server has it. Never throws.
+ */
+export const checkOnDeviceModel = async (modelUrl) => {
+    try {
+        const cache = await openModelCache();
+        if (cache && await cache.match(modelUrl)) return true;
+
+        return isModelResponse(await fetch(modelUrl, { method: 'HEAD', cache: 'no-store' }));
+    } catch (error) {
+        console.warn('On-device model check failed:', error);
+        return false;
+    }
+};
+
+/**
+ * Model bytes from the cache, else downloaded (and cached). Throws MODEL_NOT_INSTALLED
+ * when neither has it.
+ */
+export const loadOnDeviceModel = async (modelUrl) => {
+    const cache = await openModelCache().catch(() => null);
+    let response = cache ? await cache.match(modelUrl) : null;
+
+    if (!response) {
+        response = await fetch(modelUrl).catch(() => null);
+        if (!response || !isModelResponse(response)) throw new Error(MODEL_NOT_INSTALLED);
+        if (cache) await cache.put(modelUrl, response.clone()).catch(() => {});
+    }
+
+    return new Uint8Array(await response.arrayBuffer());
+};
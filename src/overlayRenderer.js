@@ -0,0 +1,298 @@
+// overlayRenderer.js
+// Draws detection overlays onto a full-resolution canvas.
+// Shared by the results screen and image exports so both look identical.
+
+/**
+ * Loads an image URL into an HTMLImageElement
+ */
+export const loadImage = (src) => {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image for drawing'));
+        img.src = src;
+    });
+};
+
+/**
+ * Rejected ("ghost") predictions: dashed outline with the confidence the model gave
+ */
+const drawGhost = (ctx, ghost, width) => {
+    const lineWidth = Math.max(2, width / 1200);
+    const fontSize = Math.max(16, width / 160);
+
+    ctx.save();
+    ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+    ctx.strokeStyle = 'rgba(255, 193, 7, 0.9)';
+    ctx.lineWidth = lineWidth;
+    ctx.strokeRect(ghost.x, ghost.y, ghost.width, ghost.height);
+    ctx.restore();
+
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillStyle = 'rgba(255, 193, 7, 0.95)';
+    ctx.fillText(`${Math.round(ghost.confidence * 100)}%`, ghost.x + 4, ghost.y + ghost.height - 6);
+};
+
+/**
+ * Draws a box with a numbered badge in the given color
+ */
+const drawNumberedBox = (ctx, box, label, width, color) => {
+    // Semi-transparent fill
+    ctx.fillStyle = color.fill;
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+
+    // Bounding box
+    ctx.strokeStyle = color.stroke;
+    ctx.lineWidth = Math.max(4, width / 800);
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+    // Pill number with background
+    const fontSize = Math.max(24, width / 100);
+    ctx.font = `bold ${fontSize}px Arial`;
+
+    const metrics = ctx.measureText(label);
+    const padding = fontSize * 0.3;
+
+    ctx.fillStyle = color.badge;
+    ctx.fillRect(
+        box.x,
+        box.y,
+        metrics.width + padding * 2,
+        fontSize + padding * 2
+    );
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(label, box.x + padding, box.y + fontSize + padding * 0.3);
+};
+
+const AI_COLOR = { fill: 'rgba(0, 255, 0, 0.15)', stroke: '#00FF00', badge: 'rgba(0, 255, 0, 0.9)' };
+const MANUAL_COLOR = { fill: 'rgba(33, 150, 243, 0.2)', stroke: '#2196F3', badge: 'rgba(33, 150, 243, 0.95)' };
+
+// Size-analysis outliers (see sizeAnalysis.js)
+const FLAG_COLOR = {
+    clump: { fill: 'rgba(255, 152, 0, 0.2)', stroke: '#FF9800', badge: 'rgba(255, 152, 0, 0.95)' },
+    fragment: { fill: 'rgba(156, 39, 176, 0.2)', stroke: '#9C27B0', badge: 'rgba(156, 39, 176, 0.95)' }
+};
+
+// One color per detection class; the first class keeps the familiar green
+const CLASS_PALETTE = ['#00FF00', '#00BCD4', '#FFEB3B', '#E91E63', '#8BC34A', '#FF5722', '#3F51B5'];
+
+const colorFromHex = (hex) => {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return { fill: `rgba(${r}, ${g}, ${b}, 0.15)`, stroke: hex, badge: `rgba(${r}, ${g}, ${b}, 0.9)` };
+};
+
+/**
+ * Stroke color for each class name, in the order given
+ */
+export const getClassColors = (classNames) => {
+    const map = {};
+    classNames.forEach((name, index) => {
+        map[name] = CLASS_PALETTE[index % CLASS_PALETTE.length];
+    });
+    return map;
+};
+
+export const FLAG_STROKE_COLORS = {
+    clump: FLAG_COLOR.clump.stroke,
+    fragment: FLAG_COLOR.fragment.stroke
+};
+
+/**
+ * AI detection the user removed: red dashed outline crossed out
+ */
+const drawRemoved = (ctx, box, width) => {
+    const lineWidth = Math.max(3, width / 1000);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(244, 67, 54, 0.9)';
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(box.x, box.y);
+    ctx.lineTo(box.x + box.width, box.y + box.height);
+    ctx.moveTo(box.x + box.width, box.y);
+    ctx.lineTo(box.x, box.y + box.height);
+    ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * Exclusion zone: hatched grey polygon. Draft zones (still being drawn) are left open.
+ */
+const drawZone = (ctx, zone, width, closed) => {
+    if (zone.length === 0) return;
+    const lineWidth = Math.max(3, width / 1000);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(zone[0].x, zone[0].y);
+    zone.slice(1).forEach((p) => ctx.lineTo(p.x, p.y));
+    if (closed) {
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fill();
+    }
+    ctx.strokeStyle = closed ? 'rgba(244, 67, 54, 0.9)' : 'rgba(255, 255, 255, 0.95)';
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash(closed ? [] : [lineWidth * 3, lineWidth * 2]);
+    ctx.stroke();
+
+    if (!closed) {
+        ctx.fillStyle = '#FFFFFF';
+        zone.forEach((p) => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, lineWidth * 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    ctx.restore();
+};
+
+/**
+ * Detection dropped by an exclusion zone: thin grey outline
+ */
+const drawExcluded = (ctx, box, width) => {
+    ctx.strokeStyle = 'rgba(200, 200, 200, 0.8)';
+    ctx.lineWidth = Math.max(2, width / 1500);
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+};
+
+/**
+ * Box suggested for removal when the count is over the target: thick red dashed
+ * outline with a minus badge in the corner
+ */
+const drawSuggestedRemoval = (ctx, box, width) => {
+    const lineWidth = Math.max(5, width / 600);
+    const badge = Math.max(24, width / 90);
+
+    ctx.save();
+    ctx.strokeStyle = '#f44336';
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash([lineWidth * 2, lineWidth]);
+    ctx.strokeRect(box.x - lineWidth, box.y - lineWidth, box.width + lineWidth * 2, box.height + lineWidth * 2);
+    ctx.restore();
+
+    ctx.fillStyle = '#f44336';
+    ctx.beginPath();
+    ctx.arc(box.x + box.width, box.y + box.height, badge / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(box.x + box.width - badge * 0.25, box.y + box.height - badge * 0.06, badge * 0.5, badge * 0.12);
+};
+
+/**
+ * Draws the photo at full size, then zones, ghosts and removed boxes (below) and
+ * counted boxes (above). AI detections use their class color (green for a single
+ * class; orange/purple when flagged as a clump/fragment); user-placed markers are
+ * blue and numbered after them. Boxes suggested for removal (over target) go on top.
+ */
+export const renderOverlay = (canvas, img, {
+    width,
+    height,
+    detections,
+    ghosts = [],
+    removed = [],
+    manual = [],
+    zones = [],
+    draftZone = [],
+    excluded = [],
+    flagged = {},
+    classColors = {},
+    suggested = []
+}) => {
+    const ctx = canvas.getContext('2d');
+
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(img, 0, 0, width, height);
+
+    zones.forEach((zone) => drawZone(ctx, zone, width, true));
+    excluded.forEach((box) => drawExcluded(ctx, box, width));
+    ghosts.forEach((ghost) => drawGhost(ctx, ghost, width));
+    removed.forEach((box) => drawRemoved(ctx, box, width));
+    detections.forEach((detection, index) => {
+        const classHex = classColors[detection.class];
+        const color = FLAG_COLOR[flagged[detection.id]] || (classHex ? colorFromHex(classHex) : AI_COLOR);
+        drawNumberedBox(ctx, detection, (index + 1).toString(), width, color);
+    });
+    manual.forEach((marker, index) => {
+        drawNumberedBox(ctx, marker, (detections.length + index + 1).toString(), width, MANUAL_COLOR);
+    });
+    suggested.forEach((box) => drawSuggestedRemoval(ctx, box, width));
+    drawZone(ctx, draftZone, width, false);
+};
+
+/**
+ * Reduced JPEG copy of an image URL (longest side maxDimension), e.g. for thumbnails
+ */
+export const createScaledCopy = async (url, maxDimension, quality = 0.85) => {
+    const img = await loadImage(url);
+    const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Failed to render results'));
+        }, 'image/jpeg', quality);
+    });
+};
+
+/**
+ * Copy of an image URL with a white metadata footer added below it (one text line
+ * per entry in `lines`), as a JPEG Blob. The photo itself is not covered.
+ */
+export const renderWithFooter = async (url, lines, quality = 0.95) => {
+    const img = await loadImage(url);
+    const width = img.naturalWidth;
+    const fontSize = Math.max(14, Math.round(width / 55));
+    const lineHeight = Math.round(fontSize * 1.4);
+    const padding = Math.round(fontSize * 0.8);
+    const footerHeight = padding * 2 + lineHeight * lines.length;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = img.naturalHeight + footerHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, img.naturalHeight, width, footerHeight);
+    ctx.fillStyle = '#222222';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        ctx.font = `${index === 0 ? 'bold ' : ''}${fontSize}px Arial`;
+        ctx.fillText(line, padding, img.naturalHeight + padding + index * lineHeight, width - padding * 2);
+    });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Failed to render results'));
+        }, 'image/jpeg', quality);
+    });
+};
+
+/**
+ * Encodes a canvas as JPEG and returns an object URL
+ */
+export const canvasToObjectUrl = (canvas, quality = 0.95) => {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('Failed to render results'));
+                return;
+            }
+            resolve(URL.createObjectURL(blob));
+        }, 'image/jpeg', quality);
+    });
+};
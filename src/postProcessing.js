@@ -0,0 +1,135 @@
+// postProcessing.js
+// Confidence filtering and duplicate-box suppression applied to detections before counting.
+// Detections here are top-left based ({ x, y, width, height, confidence, class }).
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.50; // 50% confidence threshold (matches CTMS app)
+export const DEFAULT_IOU_THRESHOLD = 0.5;
+export const DEFAULT_CONTAINMENT_THRESHOLD = 0.85;
+
+/**
+ * Overlap between two top-left boxes.
+ * iou: intersection over union; containment: share of the SMALLER box covered by the other.
+ */
+export const overlapMetrics = (a, b) => {
+    const iw = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const ih = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+
+    if (iw <= 0 || ih <= 0) return { iou: 0, containment: 0 };
+
+    const intersection = iw * ih;
+    const areaA = a.width * a.height;
+    const areaB = b.width * b.height;
+
+    return {
+        iou: intersection / (areaA + areaB - intersection),
+        containment: intersection / Math.min(areaA, areaB)
+    };
+};
+
+/**
+ * Greedy non-maximum suppression with containment suppression.
+ * Boxes are visited from highest to lowest confidence; a box is dropped when it
+ * overlaps an already-kept box by iouThreshold ('overlap'), or when it is the
+ * smaller of the two and lies at least containmentThreshold inside it ('contained').
+ * With classAware, only boxes of the same class suppress each other.
+ *
+ * Returns the kept detections in their original order plus a record of every merge.
+ */
+export const suppressDuplicates = (detections, {
+    iouThreshold = DEFAULT_IOU_THRESHOLD,
+    containmentThreshold = DEFAULT_CONTAINMENT_THRESHOLD,
+    classAware = false
+} = {}) => {
+    const order = detections
+        .map((detection, index) => ({ detection, index }))
+        .sort((a, b) => b.detection.confidence - a.detection.confidence);
+
+    const kept = [];
+    const suppressed = [];
+
+    order.forEach((candidate) => {
+        let reason = null;
+        let keptBy = null;
+        let metrics = null;
+
+        for (const k of kept) {
+            if (classAware && k.detection.class !== candidate.detection.class) continue;
+
+            const m = overlapMetrics(k.detection, candidate.detection);
+            const candidateIsSmaller = candidate.detection.width * candidate.detection.height
+                <= k.detection.width * k.detection.height;
+
+            if (m.iou >= iouThreshold) {
+                reason = 'overlap';
+            } else if (candidateIsSmaller && m.containment >= containmentThreshold) {
+                reason = 'contained';
+            }
+
+            if (reason) {
+                keptBy = k.index;
+                metrics = m;
+                break;
+            }
+        }
+
+        if (reason) {
+            suppressed.push({
+                detection: candidate.detection,
+                reason,
+                keptIndex: keptBy,
+                iou: metrics.iou,
+                containment: metrics.containment
+            });
+        } else {
+            kept.push(candidate);
+        }
+    });
+
+    kept.sort((a, b) => a.index - b.index);
+
+    return {
+        detections: kept.map(k => k.detection),
+        suppressed,
+        summary: {
+            merged: suppressed.length,
+            overlap: suppressed.filter(s => s.reason === 'overlap').length,
+            contained: suppressed.filter(s => s.reason === 'contained').length,
+            iouThreshold,
+            containmentThreshold
+        }
+    };
+};
+
+/**
+ * Human-readable explanation of a suppression summary, e.g. "2 overlapping, 1 nested"
+ */
+export const describeSuppression = (summary) => {
+    if (!summary || summary.merged === 0) return 'No duplicates';
+
+    const parts = [];
+    if (summary.overlap) parts.push(`${summary.overlap} overlapping`);
+    if (summary.contained) parts.push(`${summary.contained} nested`);
+    return parts.join(', ');
+};
+
+/**
+ * Splits raw predictions at a confidence threshold and suppresses duplicates
+ * among the accepted ones. Used both for the initial count and for live
+ * re-counting when the threshold slider moves (no new detector call).
+ * Pass nmsOptions === false to skip duplicate suppression.
+ */
+export const applyThreshold = (predictions, threshold = DEFAULT_CONFIDENCE_THRESHOLD, nmsOptions = {}) => {
+    const accepted = predictions.filter(p => p.confidence >= threshold);
+    const rejected = predictions.filter(p => p.confidence < threshold);
+
+    if (nmsOptions === false) {
+        return { detections: accepted, rejected, duplicates: null };
+    }
+
+    const nms = suppressDuplicates(accepted, nmsOptions || {});
+    return {
+        detections: nms.detections,
+        rejected,
+        duplicates: { ...nms.summary, suppressed: nms.suppressed }
+    };
+};
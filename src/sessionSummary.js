@@ -0,0 +1,85 @@
+// sessionSummary.js
+// Renders a counting session into one shareable image: the session total on top,
+// then every pour's annotated image with its sub-count in a two-column grid.
+
+import { createCanvas, encodeJpeg } from './imagePipelineCore';
+import { sessionTotal } from './countingSession';
+
+const SUMMARY_WIDTH = 1200;
+const PADDING = 30;
+const COLUMNS = 2;
+const HEADER_HEIGHT = 190;
+const CAPTION_HEIGHT = 50;
+
+/**
+ * Fits an image into a cell, centered, preserving aspect ratio
+ */
+const drawFitted = (ctx, bitmap, x, y, width, height) => {
+    const scale = Math.min(width / bitmap.width, height / bitmap.height);
+    const w = bitmap.width * scale;
+    const h = bitmap.height * scale;
+    ctx.drawImage(bitmap, x + (width - w) / 2, y + (height - h) / 2, w, h);
+};
+
+/**
+ * Returns a JPEG Blob of the session summary
+ */
+export const renderSessionSummary = async (session) => {
+    const cellWidth = (SUMMARY_WIDTH - PADDING * (COLUMNS + 1)) / COLUMNS;
+    const cellImageHeight = Math.round(cellWidth * 0.75);
+    const rows = Math.ceil(session.pours.length / COLUMNS);
+    const height = HEADER_HEIGHT + rows * (cellImageHeight + CAPTION_HEIGHT + PADDING) + PADDING;
+
+    const canvas = createCanvas(SUMMARY_WIDTH, height);
+    const ctx = canvas.getContext('2d');
+
+    // Background + header band
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, SUMMARY_WIDTH, height);
+    const gradient = ctx.createLinearGradient(0, 0, SUMMARY_WIDTH, HEADER_HEIGHT);
+    gradient.addColorStop(0, '#667eea');
+    gradient.addColorStop(1, '#764ba2');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, SUMMARY_WIDTH, HEADER_HEIGHT - PADDING);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 90px Arial';
+    ctx.fillText(String(sessionTotal(session)), PADDING, 105);
+    ctx.font = '28px Arial';
+    ctx.fillText(
+        `pills total · ${session.pours.length} pour${session.pours.length === 1 ? '' : 's'}`,
+        PADDING,
+        145
+    );
+    ctx.textAlign = 'right';
+    ctx.fillText(new Date(session.startedAt).toLocaleString(), SUMMARY_WIDTH - PADDING, 50);
+    ctx.textAlign = 'left';
+
+    for (let i = 0; i < session.pours.length; i++) {
+        const pour = session.pours[i];
+        const column = i % COLUMNS;
+        const row = Math.floor(i / COLUMNS);
+        const x = PADDING + column * (cellWidth + PADDING);
+        const y = HEADER_HEIGHT + row * (cellImageHeight + CAPTION_HEIGHT + PADDING);
+
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(x, y, cellWidth, cellImageHeight);
+
+        const bitmap = await createImageBitmap(pour.image);
+        drawFitted(ctx, bitmap, x, y, cellWidth, cellImageHeight);
+        bitmap.close();
+
+        ctx.fillStyle = '#333333';
+        ctx.font = 'bold 28px Arial';
+        ctx.fillText(`Pour ${i + 1}: ${pour.count}`, x, y + cellImageHeight + 36);
+        if (pour.adjusted) {
+            ctx.fillStyle = '#666666';
+            ctx.font = '20px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText(`AI ${pour.aiCount}, adjusted`, x + cellWidth, y + cellImageHeight + 36);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    return encodeJpeg(canvas, 0.9);
+};
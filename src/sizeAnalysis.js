@@ -0,0 +1,70 @@
+// sizeAnalysis.js
+// Flags boxes whose area is far from the image's median pill size:
+// touching pills merged into one box ("clump") and broken halves ("fragment").
+// Suggestions only change the count once the user accepts them.
+
+export const DEFAULT_CLUMP_RATIO = 1.6;     // area >= 1.6x median -> likely 2-3 pills
+export const DEFAULT_FRAGMENT_RATIO = 0.45; // area <= 0.45x median -> likely a fragment
+const MIN_DETECTIONS = 5;                   // too few boxes for a reliable median
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Computes the median pill size and flags outliers.
+ * Each flag carries the detection id, its type, the estimated pill count for
+ * that box (2-3 for clumps, 0 for fragments) and the count delta if accepted.
+ */
+export const analyzeSizes = (detections, {
+    clumpRatio = DEFAULT_CLUMP_RATIO,
+    fragmentRatio = DEFAULT_FRAGMENT_RATIO
+} = {}) => {
+    if (detections.length < MIN_DETECTIONS) {
+        return { medianWidth: null, medianHeight: null, medianArea: null, flags: [] };
+    }
+
+    const medianArea = median(detections.map(d => d.width * d.height));
+    const flags = [];
+
+    detections.forEach((d) => {
+        const ratio = (d.width * d.height) / medianArea;
+
+        if (ratio >= clumpRatio) {
+            const estimate = Math.min(3, Math.max(2, Math.round(ratio)));
+            flags.push({ id: d.id, type: 'clump', ratio, estimate, delta: estimate - 1 });
+        } else if (ratio <= fragmentRatio) {
+            flags.push({ id: d.id, type: 'fragment', ratio, estimate: 0, delta: -1 });
+        }
+    });
+
+    return {
+        medianWidth: median(detections.map(d => d.width)),
+        medianHeight: median(detections.map(d => d.height)),
+        medianArea,
+        flags
+    };
+};
+
+/**
+ * Count change from the suggestions the user accepted.
+ * decisions maps detection id -> 'accepted' | 'rejected'.
+ */
+export const acceptedSizeDelta = (flags, decisions) => {
+    return flags
+        .filter(f => decisions[f.id] === 'accepted')
+        .reduce((sum, f) => sum + f.delta, 0);
+};
+
+/**
+ * Count if every suggestion were accepted
+ */
+export const suggestedCount = (baseCount, flags) => {
+    return baseCount + flags.reduce((sum, f) => sum + f.delta, 0);
+};
+
+export const describeFlag = (flag) => {
+    return flag.type === 'clump' ? 'likely 2–3 pills' : 'likely fragment';
+};
@@ -0,0 +1,56 @@
+// targetQuantity.js
+// Checks a count against the prescribed quantity and, when over, picks the boxes
+// furthest from the middle of the pill spread as the ones to take away.
+
+export const TARGET_COLORS = {
+    match: '#4CAF50',
+    over: '#f44336',
+    under: '#FF9800'
+};
+
+/**
+ * Parses the target field; returns null unless it is a positive whole number
+ */
+export const parseTarget = (value) => {
+    const target = Number(value);
+    return Number.isInteger(target) && target > 0 ? target : null;
+};
+
+/**
+ * { target, status: 'match' | 'over' | 'under', difference } or null without a target
+ */
+export const compareToTarget = (count, target) => {
+    if (!target) return null;
+    const difference = Math.abs(count - target);
+    const status = count === target ? 'match' : count > target ? 'over' : 'under';
+    return { target, status, difference };
+};
+
+export const describeTargetOutcome = (outcome) => {
+    if (!outcome) return '';
+    if (outcome.status === 'match') return 'MATCH';
+    return `${outcome.status.toUpperCase()} by ${outcome.difference}`;
+};
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Ids of the `n` boxes furthest from the tray center, estimated as the median box
+ * center so a few stray pills do not drag it off the pile
+ */
+export const suggestRemovals = (boxes, n) => {
+    if (n <= 0 || boxes.length === 0) return [];
+
+    const centers = boxes.map(b => ({ id: b.id, x: b.x + b.width / 2, y: b.y + b.height / 2 }));
+    const cx = median(centers.map(c => c.x));
+    const cy = median(centers.map(c => c.y));
+
+    return centers
+        .map(c => ({ id: c.id, distance: Math.hypot(c.x - cx, c.y - cy) }))
+        .sort((a, b) => b.distance - a.distance)
+        .slice(0, n)
+        .map(c => c.id);
+};
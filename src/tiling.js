@@ -0,0 +1,185 @@
+// tiling.js
+// Sliced inference for high-resolution / long-distance tray photos.
+// The image is cut into overlapping tiles, each tile goes to the detector on its own,
+// and the boxes are shifted back into full-image coordinates and merged along the seams.
+
+import { overlapMetrics } from './postProcessing';
+import { createCanvas, encodeJpeg } from './imagePipelineCore';
+
+export const DEFAULT_TILE_SIZE = 1024;
+export const DEFAULT_TILE_OVERLAP = 0.2; // 20% of the tile size
+
+/**
+ * Returns the start offsets along one axis so tiles cover [0, length]
+ * with at least `overlapPx` shared pixels; the last tile is flush with the edge
+ */
+const axisOffsets = (length, tileSize, overlapPx) => {
+    if (length <= tileSize) return [0];
+
+    const step = Math.max(1, tileSize - overlapPx);
+    const offsets = [];
+    for (let start = 0; start + tileSize < length; start += step) {
+        offsets.push(start);
+    }
+    offsets.push(length - tileSize);
+    return offsets;
+};
+
+/**
+ * Splits an image of the given size into overlapping tiles
+ */
+export const computeTiles = (width, height, { tileSize = DEFAULT_TILE_SIZE, overlap = DEFAULT_TILE_OVERLAP } = {}) => {
+    const overlapPx = Math.round(tileSize * overlap);
+    const tiles = [];
+
+    axisOffsets(height, tileSize, overlapPx).forEach((y) => {
+        axisOffsets(width, tileSize, overlapPx).forEach((x) => {
+            tiles.push({
+                index: tiles.length,
+                x,
+                y,
+                width: Math.min(tileSize, width),
+                height: Math.min(tileSize, height)
+            });
+        });
+    });
+
+    return tiles;
+};
+
+/**
+ * Tiling only pays off when the image is noticeably larger than one tile
+ */
+export const shouldTile = (width, height, tileSize = DEFAULT_TILE_SIZE) => {
+    return Math.max(width, height) > tileSize * 1.5;
+};
+
+/**
+ * Crops one tile out of the decoded image and encodes it as a JPEG file
+ */
+const cropTile = async (bitmap, tile) => {
+    const canvas = createCanvas(tile.width, tile.height);
+    canvas.getContext('2d').drawImage(bitmap, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+
+    try {
+        const blob = await encodeJpeg(canvas);
+        return new File([blob], `tile-${tile.index}.jpg`, { type: 'image/jpeg' });
+    } catch {
+        throw new Error('Failed to prepare image tile');
+    }
+};
+
+const toCorners = (p) => ({
+    x1: p.x - p.width / 2,
+    y1: p.y - p.height / 2,
+    x2: p.x + p.width / 2,
+    y2: p.y + p.height / 2
+});
+
+const toTopLeft = (p) => ({ x: p.x - p.width / 2, y: p.y - p.height / 2, width: p.width, height: p.height });
+
+/**
+ * Two boxes from neighbouring tiles describe the same pill when they overlap
+ * strongly, or when the smaller one (a pill cut off at a tile edge) lies mostly inside the other
+ */
+const isSeamDuplicate = (a, b) => {
+    const { iou, containment } = overlapMetrics(toTopLeft(a), toTopLeft(b));
+    return iou >= 0.3 || containment >= 0.6;
+};
+
+/**
+ * Merges duplicate boxes that come from different tiles.
+ * Higher-confidence boxes win; a merged box grows to the union of both
+ * so a pill split across a seam keeps its full extent.
+ */
+export const mergeTileSeams = (predictions) => {
+    const sorted = [...predictions].sort((a, b) => b.confidence - a.confidence);
+    const kept = [];
+    let merged = 0;
+
+    sorted.forEach((pred) => {
+        const match = kept.find((k) => !k.tiles.includes(pred.tileIndex) && isSeamDuplicate(k, pred));
+
+        if (!match) {
+            kept.push({ ...pred, tiles: [pred.tileIndex] });
+            return;
+        }
+
+        const a = toCorners(match);
+        const b = toCorners(pred);
+        const x1 = Math.min(a.x1, b.x1);
+        const y1 = Math.min(a.y1, b.y1);
+        const x2 = Math.max(a.x2, b.x2);
+        const y2 = Math.max(a.y2, b.y2);
+
+        Object.assign(match, {
+            x: (x1 + x2) / 2,
+            y: (y1 + y2) / 2,
+            width: x2 - x1,
+            height: y2 - y1,
+            tiles: [...match.tiles, pred.tileIndex]
+        });
+        merged += 1;
+    });
+
+    return {
+        predictions: kept.map(({ tiles, tileIndex, ...p }) => p),
+        merged
+    };
+};
+
+/**
+ * Runs the detector on every tile of a decoded image (ImageBitmap) and returns
+ * normalized predictions in full-image coordinates.
+ * onTileProgress(fraction, tileNumber, tileCount) is called as tiles complete.
+ * signal / onStatus are passed to every tile request (cancel, retry and rate-limit status).
+ */
+export const detectTiled = async (bitmap, detector, { tileSize, overlap, onTileProgress, signal, onStatus } = {}) => {
+    const { width, height } = bitmap;
+    const tiles = computeTiles(width, height, { tileSize, overlap });
+    const allPredictions = [];
+    let modelId = null;
+
+    console.log(`🧩 Tiled inference: ${tiles.length} tiles of ${tiles[0].width}x${tiles[0].height}`);
+
+    for (const tile of tiles) {
+        const tileFile = await cropTile(bitmap, tile);
+        const result = await detector.detect(tileFile, {
+            width: tile.width,
+            height: tile.height,
+            signal,
+            onStatus,
+            onProgress: (p) => {
+                if (onTileProgress) onTileProgress((tile.index + p) / tiles.length, tile.index + 1, tiles.length);
+            }
+        });
+
+        modelId = result.modelId || modelId;
+
+        // The model may have resized the tile; scale back before shifting
+        const scaleX = tile.width / (result.image?.width || tile.width);
+        const scaleY = tile.height / (result.image?.height || tile.height);
+
+        result.predictions.forEach((p) => {
+            allPredictions.push({
+                ...p,
+                x: p.x * scaleX + tile.x,
+                y: p.y * scaleY + tile.y,
+                width: p.width * scaleX,
+                height: p.height * scaleY,
+                tileIndex: tile.index
+            });
+        });
+    }
+
+    const { predictions, merged } = mergeTileSeams(allPredictions);
+    console.log(`🧩 Tiles merged: ${allPredictions.length} raw boxes -> ${predictions.length} (${merged} seam duplicates)`);
+
+    return {
+        providerId: detector.id,
+        image: { width, height },
+        predictions,
+        modelId,
+        tiling: { tileCount: tiles.length, seamMerges: merged }
+    };
+};
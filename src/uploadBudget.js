@@ -0,0 +1,24 @@
+// uploadBudget.js
+// Size limits for images sent to remote detectors. The /api/detect proxy rejects
+// bodies over 4MB (base64), so uploads are downscaled and re-encoded until the
+// encoded body fits under UPLOAD_MAX_BODY_BYTES, leaving headroom below that limit.
+// No imports, so scripts/check-upload-size.js can load it in Node.
+
+export const UPLOAD_MAX_DIMENSION = 2048;
+
+// Tried in order until the body fits; below the last one the image is shrunk further
+export const UPLOAD_JPEG_QUALITIES = [0.85, 0.7, 0.55];
+
+export const UPLOAD_MAX_BODY_BYTES = 3.5 * 1024 * 1024;
+
+/**
+ * Length of the base64 encoding of `bytes` bytes (what the proxy receives)
+ */
+export const base64Length = (bytes) => 4 * Math.ceil(bytes / 3);
+
+export const fitsUploadBudget = (bytes) => base64Length(bytes) <= UPLOAD_MAX_BODY_BYTES;
+
+/**
+ * Scale factor that brings the long side down to UPLOAD_MAX_DIMENSION (never upscales)
+ */
+export const uploadScale = (width, height) => Math.min(1, UPLOAD_MAX_DIMENSION / Math.max(width, height));
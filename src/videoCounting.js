@@ -0,0 +1,201 @@
+// videoCounting.js
+// Counting from a short video pan: frames are sampled at a fixed interval, each one
+// goes through the normal detection pipeline, and the per-frame counts are reduced
+// to a consensus count. A frame with exactly that count becomes the result image, so
+// the headline count on the results screen is the consensus.
+
+import { processAndDisplayImage } from './imageProcessing';
+import { createCanvas, encodeJpeg, MAX_DIMENSION } from './imagePipelineCore';
+import { cancelledError, isCancelledError } from './detectorRequest';
+
+export const VIDEO_FRAME_INTERVAL = 0.5;             // seconds between sampled frames
+export const MAX_VIDEO_FRAMES = 12;                  // keeps detector calls under the proxy rate limit
+export const MAX_VIDEO_SIZE = 200 * 1024 * 1024;     // 200MB
+
+const VIDEO_LOAD_TIMEOUT = 15000;
+
+export const isVideoFile = (file) => {
+    return file.type?.startsWith('video/') || /\.(mp4|mov|m4v|webm)$/i.test(file.name || '');
+};
+
+const loadVideo = (url) => {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const timer = setTimeout(() => reject(new Error('Video loading timeout')), VIDEO_LOAD_TIMEOUT);
+
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.onloadeddata = () => {
+            clearTimeout(timer);
+            resolve(video);
+        };
+        video.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error('Failed to load video'));
+        };
+        video.src = url;
+    });
+};
+
+const seekTo = (video, time) => {
+    return new Promise((resolve, reject) => {
+        video.onseeked = () => resolve();
+        video.onerror = () => reject(new Error('Failed to read video frame'));
+        video.currentTime = time;
+    });
+};
+
+/**
+ * Sample times: every `interval` seconds, spread out further for long clips so
+ * no more than maxFrames are taken
+ */
+export const frameTimes = (duration, interval = VIDEO_FRAME_INTERVAL, maxFrames = MAX_VIDEO_FRAMES) => {
+    const step = Math.max(interval, duration / maxFrames);
+    const times = [];
+    for (let t = step / 2; t < duration && times.length < maxFrames; t += step) {
+        times.push(Number(t.toFixed(2)));
+    }
+    return times;
+};
+
+/**
+ * Current video frame as a prepared image ({ file, bitmap, width, height })
+ */
+const grabFrame = async (video) => {
+    const scale = Math.min(1, MAX_DIMENSION / video.videoWidth, MAX_DIMENSION / video.videoHeight);
+    const width = Math.round(video.videoWidth * scale);
+    const height = Math.round(video.videoHeight * scale);
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    const file = await encodeJpeg(canvas);
+    const bitmap = await createImageBitmap(canvas);
+    return { file, bitmap, width, height };
+};
+
+/**
+ * Consensus of the per-frame counts: the most frequent count when at least two
+ * frames agree on it, otherwise the median frame's count (the lower middle one for
+ * an even number of frames). Either way some frame has exactly this count, so the
+ * frame shown as the result always matches the consensus.
+ */
+export const consensusCount = (counts) => {
+    const tally = new Map();
+    counts.forEach((count) => tally.set(count, (tally.get(count) || 0) + 1));
+
+    const [modeValue, modeVotes] = [...tally.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+    if (modeVotes > 1) {
+        return { count: modeValue, method: 'mode', agreeing: modeVotes };
+    }
+
+    const sorted = [...counts].sort((a, b) => a - b);
+    const median = sorted[Math.floor((sorted.length - 1) / 2)];
+    return { count: median, method: 'median', agreeing: tally.get(median) };
+};
+
+/**
+ * Frame matching the consensus count (closest, for a consensus from elsewhere);
+ * ties go to the most confident detections
+ */
+export const bestFrameIndex = (frames, consensus) => {
+    let best = 0;
+    frames.forEach((frame, index) => {
+        const distance = Math.abs(frame.count - consensus);
+        const bestDistance = Math.abs(frames[best].count - consensus);
+        if (distance < bestDistance ||
+            (distance === bestDistance && frame.meanConfidence > frames[best].meanConfidence)) {
+            best = index;
+        }
+    });
+    return best;
+};
+
+/**
+ * Counts pills across sampled frames of a video clip.
+ * Returns the best frame's result (same shape as processAndDisplayImage) with a
+ * `video` summary: { duration, frames: [{ time, count }], consensus, bestFrameIndex }.
+ */
+export const countVideo = async (file, onProgress, options = {}) => {
+    if (file.size > MAX_VIDEO_SIZE) {
+        throw new Error(`Video too large: ${(file.size / 1024 / 1024).toFixed(1)}MB (max 200MB)`);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        if (onProgress) onProgress(5, 'Loading video...');
+        const video = await loadVideo(url);
+
+        if (!Number.isFinite(video.duration) || video.duration <= 0) {
+            throw new Error('Could not read the video length');
+        }
+
+        const times = frameTimes(video.duration, options.interval, options.maxFrames);
+        console.log(`🎞️ Video ${video.videoWidth}x${video.videoHeight}, ${video.duration.toFixed(1)}s -> ${times.length} frames`);
+
+        const frames = [];
+        let lastError = null;
+
+        for (let i = 0; i < times.length; i++) {
+            if (options.signal?.aborted) throw cancelledError();
+            if (onProgress) onProgress(10 + (i / times.length) * 80, `Counting frame ${i + 1} of ${times.length}...`);
+
+            let prepared = null;
+            try {
+                await seekTo(video, times[i]);
+                prepared = await grabFrame(video);
+                const result = await processAndDisplayImage(prepared, null, { ...options, qualityCheck: false });
+
+                // Only the winning frame is shown later; keep the encoded JPEG, free the rest
+                URL.revokeObjectURL(result.originalImageUrl);
+                result.imageBitmap.close();
+
+                const confidences = result.detections.map(d => d.confidence);
+                frames.push({
+                    time: times[i],
+                    count: result.pillCount,
+                    meanConfidence: confidences.length
+                        ? confidences.reduce((a, b) => a + b, 0) / confidences.length
+                        : 0,
+                    file: prepared.file,
+                    result
+                });
+            } catch (error) {
+                prepared?.bitmap.close();
+                if (isCancelledError(error)) throw error;
+                console.error(`Frame at ${times[i]}s failed:`, error);
+                lastError = error;
+            }
+        }
+
+        if (frames.length === 0) {
+            throw lastError || new Error('No frames could be read from the video');
+        }
+
+        const consensus = consensusCount(frames.map(f => f.count));
+        const bestIndex = bestFrameIndex(frames, consensus.count);
+        const best = frames[bestIndex];
+
+        console.log(`🎞️ Frame counts: ${frames.map(f => f.count).join(', ')} -> ${consensus.count} (${consensus.method}), best frame ${bestIndex + 1}`);
+
+        if (onProgress) onProgress(95, 'Preparing best frame...');
+        const imageBitmap = await createImageBitmap(best.file);
+
+        if (onProgress) onProgress(100, 'Complete!');
+
+        return {
+            ...best.result,
+            originalImageUrl: URL.createObjectURL(best.file),
+            imageBitmap,
+            video: {
+                duration: video.duration,
+                frames: frames.map(f => ({ time: f.time, count: f.count })),
+                consensus,
+                bestFrameIndex: bestIndex
+            }
+        };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
@@ -1,10 +1,25 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-    plugins: [react()],
-    server: {
-        port: 5175,
-        host: true
+// Mounts the serverless /api/detect handler on the dev server so local
+// development goes through the same proxy as the Vercel deployment
+const detectProxyDevServer = () => ({
+    name: 'detect-proxy-dev-server',
+    async configureServer(server) {
+        const { default: detectHandler } = await server.ssrLoadModule('/api/detect.js')
+        server.middlewares.use('/api/detect', (req, res) => detectHandler(req, res))
+    }
+})
+
+export default defineConfig(({ mode }) => {
+    // Expose server-side variables (ROBOFLOW_API_KEY etc.) to the dev proxy
+    Object.assign(process.env, loadEnv(mode, process.cwd(), ''))
+
+    return {
+        plugins: [react(), detectProxyDevServer()],
+        server: {
+            port: 5175,
+            host: true
+        }
     }
 })